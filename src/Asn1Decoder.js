@@ -0,0 +1,317 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ Decoder for ASN.1 BER / DER encoded data (X.690), e.g. CMS structures and X.509 certificates
+ */
+export class Asn1Decoder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decodes an ASN.1 element, indefinite lengths (BER) are supported
+     * @param {Uint8Array} data
+     * @param {Number} offset
+     * @returns {Object} {tagClass, tag, constructed, start, contentStart, contentEnd, end, raw, content, children}
+     */
+    static decode(data, offset=0) {
+        return Asn1Decoder.#decodeElement(data, offset, 0);
+    }
+
+    /**
+     * returns the child at the given index, throws an error if the element has no such child
+     * @param {Object} node
+     * @param {Number} index
+     * @returns {Object}
+     */
+    static child(node, index) {
+        if (!node || !node.children || !node.children[index]) {
+            throw new Error('invalid asn.1 structure');
+        }
+        return node.children[index];
+    }
+
+    /**
+     * returns the first context specific child with the given tag, e.g. [0]
+     * @param {Object} node
+     * @param {Number} tag
+     * @returns {Object|null}
+     */
+    static contextChild(node, tag) {
+        return (node.children ?? []).find((child) => child.tagClass === Asn1Decoder.CONST.CLASS.CONTEXT && child.tag === tag) ?? null;
+    }
+
+    /**
+     * decodes an OBJECT IDENTIFIER
+     * @param {Object} node
+     * @returns {String} e.g. '1.2.840.113549.1.7.2'
+     */
+    static readOid(node) {
+        const bytes = node.content, parts = [];
+        let value = 0;
+
+        for (let i = 0; i < bytes.length; i++) {
+            value = value * 128 + (bytes[i] & 0x7f);
+            if (!(bytes[i] & 0x80)) {
+                if (parts.length === 0) {
+                    const first = Math.min(Math.floor(value / 40), 2);
+                    parts.push(first, value - first * 40);
+                } else {
+                    parts.push(value);
+                }
+                value = 0;
+            }
+        }
+
+        return parts.join('.');
+    }
+
+    /**
+     * decodes an INTEGER as lower case hex string without leading zero bytes, e.g. serial numbers
+     * @param {Object} node
+     * @returns {String}
+     */
+    static readIntegerHex(node) {
+        let bytes = node.content;
+        while (bytes.length > 1 && bytes[0] === 0) {
+            bytes = bytes.subarray(1);
+        }
+        return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * decodes a small INTEGER
+     * @param {Object} node
+     * @returns {Number}
+     */
+    static readInteger(node) {
+        let value = 0;
+        for (const b of node.content) {
+            value = value * 256 + b;
+        }
+
+        // two's complement
+        if (node.content.length > 0 && node.content[0] & 0x80) {
+            value -= Math.pow(256, node.content.length);
+        }
+        return value;
+    }
+
+    /**
+     * decodes a string type (UTF8String, PrintableString, IA5String, BMPString, ...)
+     * @param {Object} node
+     * @returns {String}
+     */
+    static readString(node) {
+        const tags = Asn1Decoder.CONST.TAG;
+
+        switch (node.tag) {
+            case tags.BMP_STRING:
+                return new TextDecoder('utf-16be').decode(node.content);
+            case tags.UNIVERSAL_STRING:
+                return String.fromCodePoint(...Array.from({length: node.content.length / 4}, (v, i) =>
+                    ((node.content[i * 4] << 24) | (node.content[i * 4 + 1] << 16) | (node.content[i * 4 + 2] << 8) | node.content[i * 4 + 3]) >>> 0));
+            case tags.T61_STRING:
+                return String.fromCharCode(...node.content);
+            default:
+                return new TextDecoder().decode(node.content);
+        }
+    }
+
+    /**
+     * decodes a UTCTime or GeneralizedTime
+     * @param {Object} node
+     * @returns {Date}
+     */
+    static readTime(node) {
+        const str = String.fromCharCode(...node.content),
+                match = str.match(/^(\d{2}|\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?(Z|[+-]\d{4})?$/);
+
+        if (!match) {
+            throw new Error('invalid asn.1 time');
+        }
+
+        let year = parseInt(match[1]);
+        if (match[1].length === 2) {
+            year += year >= 50 ? 1900 : 2000;
+        }
+
+        let time = Date.UTC(year, parseInt(match[2]) - 1, parseInt(match[3]), parseInt(match[4]), parseInt(match[5]), parseInt(match[6] ?? '0'));
+        if (match[7] && match[7] !== 'Z') {
+            const offset = parseInt(match[7].substring(1, 3)) * 60 + parseInt(match[7].substring(3, 5));
+            time -= (match[7][0] === '+' ? 1 : -1) * offset * 60000;
+        }
+
+        return new Date(time);
+    }
+
+    /**
+     * returns the content of an OCTET STRING, the segments of constructed (BER) strings are concatenated
+     * @param {Object} node
+     * @returns {Uint8Array}
+     */
+    static readOctetString(node) {
+        if (!node.constructed) {
+            return node.content;
+        }
+
+        const segments = node.children.map((child) => Asn1Decoder.readOctetString(child)),
+                bytes = new Uint8Array(segments.reduce((length, segment) => length + segment.length, 0));
+        let offset = 0;
+        for (const segment of segments) {
+            bytes.set(segment, offset);
+            offset += segment.length;
+        }
+        return bytes;
+    }
+
+    /**
+     * returns the content of a BIT STRING without the unused bits byte
+     * @param {Object} node
+     * @returns {Uint8Array}
+     */
+    static readBitString(node) {
+        return node.content.subarray(1);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            CLASS: {
+                UNIVERSAL: 0,
+                APPLICATION: 1,
+                CONTEXT: 2,
+                PRIVATE: 3
+            },
+            TAG: {
+                BOOLEAN: 0x01,
+                INTEGER: 0x02,
+                BIT_STRING: 0x03,
+                OCTET_STRING: 0x04,
+                NULL: 0x05,
+                OID: 0x06,
+                UTF8_STRING: 0x0c,
+                SEQUENCE: 0x10,
+                SET: 0x11,
+                PRINTABLE_STRING: 0x13,
+                T61_STRING: 0x14,
+                IA5_STRING: 0x16,
+                UTC_TIME: 0x17,
+                GENERALIZED_TIME: 0x18,
+                UNIVERSAL_STRING: 0x1c,
+                BMP_STRING: 0x1e
+            },
+            MAX_DEPTH: 64
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * @param {Uint8Array} data
+     * @param {Number} offset
+     * @param {Number} depth nesting depth, limited to protect against malicious data
+     * @returns {Object}
+     */
+    static #decodeElement(data, offset, depth) {
+        if (depth > Asn1Decoder.CONST.MAX_DEPTH || offset + 2 > data.length) {
+            throw new Error('invalid asn.1 structure');
+        }
+
+        const start = offset, identifier = data[offset++];
+        let tag = identifier & 0x1f;
+
+        // high tag number form
+        if (tag === 0x1f) {
+            tag = 0;
+            do {
+                tag = tag * 128 + (data[offset] & 0x7f);
+            } while (data[offset++] & 0x80 && offset < data.length);
+        }
+
+        const node = {
+            tagClass: identifier >> 6,
+            tag: tag,
+            constructed: !!(identifier & 0x20),
+            start: start,
+            contentStart: 0,
+            contentEnd: 0,
+            end: 0,
+            raw: null,
+            content: null,
+            children: null
+        };
+
+        let length = data[offset++];
+        const indefinite = length === 0x80;
+
+        if (length > 0x80) {
+            const lengthBytes = length & 0x7f;
+            if (lengthBytes > 4 || offset + lengthBytes > data.length) {
+                throw new Error('invalid asn.1 length');
+            }
+            length = 0;
+            for (let i = 0; i < lengthBytes; i++) {
+                length = length * 256 + data[offset++];
+            }
+        }
+
+        node.contentStart = offset;
+
+        if (indefinite) {
+            if (!node.constructed) {
+                throw new Error('invalid asn.1 length');
+            }
+
+            // the content ends with the end-of-contents octets 00 00
+            node.children = [];
+            while (offset + 2 <= data.length && (data[offset] !== 0 || data[offset + 1] !== 0)) {
+                const child = Asn1Decoder.#decodeElement(data, offset, depth + 1);
+                node.children.push(child);
+                offset = child.end;
+            }
+            if (offset + 2 > data.length) {
+                throw new Error('invalid asn.1 length');
+            }
+            node.contentEnd = offset;
+            node.end = offset + 2;
+
+        } else {
+            if (offset + length > data.length) {
+                throw new Error('invalid asn.1 length');
+            }
+            node.contentEnd = offset + length;
+            node.end = offset + length;
+
+            if (node.constructed) {
+                node.children = [];
+                while (offset < node.contentEnd) {
+                    const child = Asn1Decoder.#decodeElement(data, offset, depth + 1);
+                    node.children.push(child);
+                    offset = child.end;
+                }
+            }
+        }
+
+        node.raw = data.subarray(node.start, node.end);
+        node.content = data.subarray(node.contentStart, node.contentEnd);
+
+        return node;
+    }
+}
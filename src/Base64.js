@@ -0,0 +1,118 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ Base64 encoder and decoder without dependency on window.atob, runs in browsers, web workers and node.js
+ */
+export class Base64 {
+    static #lookup = null;
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decodes a base64 string. Characters outside of the base64 alphabet (e.g. line breaks) are ignored.
+     * @param {String} str
+     * @returns {Uint8Array}
+     */
+    static decode(str) {
+        const lookup = Base64.#getLookup(), bytes = new Uint8Array(Math.floor(str.length * 3 / 4) + 3);
+        let buffer = 0, bits = 0, length = 0;
+
+        for (let i = 0; i < str.length; i++) {
+            const value = lookup[str.charCodeAt(i)];
+
+            // padding ends a block, remaining bits are discarded
+            if (str[i] === '=') {
+                buffer = 0;
+                bits = 0;
+                continue;
+            }
+
+            // line breaks and invalid characters
+            if (value === undefined || value === 255) {
+                continue;
+            }
+
+            buffer = (buffer << 6) | value;
+            bits += 6;
+
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[length++] = (buffer >> bits) & 0xff;
+            }
+        }
+
+        return bytes.slice(0, length);
+    }
+
+    /**
+     * encodes bytes as base64 string
+     * @param {Uint8Array} bytes
+     * @param {Number} lineLength wraps the output with CRLF after lineLength characters, 0 for no line breaks
+     * @returns {String}
+     */
+    static encode(bytes, lineLength=0) {
+        const alphabet = Base64.CONST.ALPHABET;
+        let str = '';
+
+        for (let i = 0; i < bytes.length; i += 3) {
+            const b1 = bytes[i], b2 = bytes[i + 1] ?? 0, b3 = bytes[i + 2] ?? 0;
+            str += alphabet[b1 >> 2]
+                    + alphabet[((b1 & 0x03) << 4) | (b2 >> 4)]
+                    + (i + 1 < bytes.length ? alphabet[((b2 & 0x0f) << 2) | (b3 >> 6)] : '=')
+                    + (i + 2 < bytes.length ? alphabet[b3 & 0x3f] : '=');
+        }
+
+        if (lineLength > 0) {
+            const lines = [];
+            for (let i = 0; i < str.length; i += lineLength) {
+                lines.push(str.substring(i, i + lineLength));
+            }
+            str = lines.join('\r\n');
+        }
+
+        return str;
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * character code to 6 bit value, 255 for invalid characters. The url safe alphabet (-_) is accepted as well.
+     * @returns {Uint8Array}
+     */
+    static #getLookup() {
+        if (!Base64.#lookup) {
+            const alphabet = Base64.CONST.ALPHABET;
+            Base64.#lookup = new Uint8Array(256).fill(255);
+            for (let i = 0; i < alphabet.length; i++) {
+                Base64.#lookup[alphabet.charCodeAt(i)] = i;
+            }
+            Base64.#lookup['-'.charCodeAt(0)] = 62;
+            Base64.#lookup['_'.charCodeAt(0)] = 63;
+        }
+        return Base64.#lookup;
+    }
+}
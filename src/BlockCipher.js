@@ -0,0 +1,389 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ Pure JavaScript decryption of AES (FIPS 197) and Triple DES (FIPS 46-3) in CBC mode.
+ Used for algorithms or key sizes which are not supported by WebCrypto, e.g. 3DES or AES-192 in browsers.
+ */
+export class BlockCipher {
+
+    // derived tables, built on first use
+    static #aesTables = null;
+    static #desTables = null;
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decrypts data in CBC mode and removes the PKCS#7 padding
+     * @param {String} algorithm 'AES' or 'DES-EDE3'
+     * @param {Uint8Array} key 16, 24 or 32 bytes for AES, 24 bytes for DES-EDE3
+     * @param {Uint8Array} iv
+     * @param {Uint8Array} data
+     * @returns {Uint8Array}
+     */
+    static decryptCbc(algorithm, key, iv, data) {
+        let blockSize, decryptBlock;
+
+        switch (algorithm) {
+            case 'AES': {
+                const roundKeys = BlockCipher.#expandAesKey(key);
+                blockSize = 16;
+                decryptBlock = (input, output) => BlockCipher.#decryptAesBlock(roundKeys, input, output);
+                break;
+            }
+
+            case 'DES-EDE3': {
+                if (key.length !== 24) {
+                    throw new Error('invalid key length');
+                }
+                const subKeys = [0, 8, 16].map((offset) => BlockCipher.#expandDesKey(key.subarray(offset, offset + 8)));
+                blockSize = 8;
+                // EDE: decrypt with the third key, encrypt with the second and decrypt with the first key
+                decryptBlock = (input, output) => {
+                    let block = BlockCipher.#cryptDesBlock(subKeys[2], BlockCipher.#readDesBlock(input), true);
+                    block = BlockCipher.#cryptDesBlock(subKeys[1], block, false);
+                    block = BlockCipher.#cryptDesBlock(subKeys[0], block, true);
+                    BlockCipher.#writeDesBlock(block, output);
+                };
+                break;
+            }
+
+            default:
+                throw new Error('unsupported cipher ' + algorithm);
+        }
+
+        if (iv.length !== blockSize || data.length === 0 || data.length % blockSize !== 0) {
+            throw new Error('decryption failed');
+        }
+
+        const result = new Uint8Array(data.length), block = new Uint8Array(blockSize);
+        let previous = iv;
+
+        for (let offset = 0; offset < data.length; offset += blockSize) {
+            const input = data.subarray(offset, offset + blockSize);
+            decryptBlock(input, block);
+            for (let i = 0; i < blockSize; i++) {
+                result[offset + i] = block[i] ^ previous[i];
+            }
+            previous = input;
+        }
+
+        // PKCS#7 padding
+        const padding = result[result.length - 1];
+        if (padding < 1 || padding > blockSize || result.subarray(result.length - padding).some((b) => b !== padding)) {
+            throw new Error('decryption failed');
+        }
+
+        return result.subarray(0, result.length - padding);
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * S-box, inverse S-box and the multiplication tables of the inverse MixColumns step
+     * @returns {Object} {sBox, invSBox, mul9, mul11, mul13, mul14}
+     */
+    static #getAesTables() {
+        if (BlockCipher.#aesTables) {
+            return BlockCipher.#aesTables;
+        }
+
+        const exp = new Uint8Array(256), log = new Uint8Array(256), sBox = new Uint8Array(256), invSBox = new Uint8Array(256);
+
+        // powers of the generator 3 in GF(2^8)
+        for (let i = 0, x = 1; i < 255; i++) {
+            exp[i] = x;
+            log[x] = i;
+            x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+        }
+
+        const mul = (a, b) => a && b ? exp[(log[a] + log[b]) % 255] : 0;
+
+        for (let i = 0; i < 256; i++) {
+            const inverse = i ? exp[(255 - log[i]) % 255] : 0;
+            let s = inverse;
+            for (let j = 1; j <= 4; j++) {
+                s ^= ((inverse << j) | (inverse >> (8 - j))) & 0xff;
+            }
+            s ^= 0x63;
+            sBox[i] = s;
+            invSBox[s] = i;
+        }
+
+        const table = (factor) => Uint8Array.from({length: 256}, (v, i) => mul(i, factor));
+
+        BlockCipher.#aesTables = {sBox: sBox, invSBox: invSBox, mul9: table(9), mul11: table(11), mul13: table(13), mul14: table(14)};
+        return BlockCipher.#aesTables;
+    }
+
+    /**
+     * AES key expansion
+     * @param {Uint8Array} key
+     * @returns {Uint8Array} round keys, 16 bytes per round
+     */
+    static #expandAesKey(key) {
+        if (![16, 24, 32].includes(key.length)) {
+            throw new Error('invalid key length');
+        }
+
+        const sBox = BlockCipher.#getAesTables().sBox,
+                keyWords = key.length / 4,
+                rounds = keyWords + 6,
+                roundKeys = new Uint8Array(16 * (rounds + 1));
+
+        roundKeys.set(key);
+        let rcon = 1;
+
+        for (let i = keyWords; i < 4 * (rounds + 1); i++) {
+            let word = roundKeys.slice((i - 1) * 4, i * 4);
+
+            if (i % keyWords === 0) {
+                word = Uint8Array.of(sBox[word[1]] ^ rcon, sBox[word[2]], sBox[word[3]], sBox[word[0]]);
+                rcon = (rcon << 1) ^ (rcon & 0x80 ? 0x11b : 0);
+            } else if (keyWords > 6 && i % keyWords === 4) {
+                word = word.map((b) => sBox[b]);
+            }
+
+            for (let j = 0; j < 4; j++) {
+                roundKeys[i * 4 + j] = roundKeys[(i - keyWords) * 4 + j] ^ word[j];
+            }
+        }
+
+        return roundKeys;
+    }
+
+    /**
+     * AES inverse cipher of a single block
+     * @param {Uint8Array} roundKeys
+     * @param {Uint8Array} input 16 bytes
+     * @param {Uint8Array} output 16 bytes
+     */
+    static #decryptAesBlock(roundKeys, input, output) {
+        const tables = BlockCipher.#getAesTables(), rounds = roundKeys.length / 16 - 1, state = new Uint8Array(16), temp = new Uint8Array(16);
+
+        for (let i = 0; i < 16; i++) {
+            state[i] = input[i] ^ roundKeys[rounds * 16 + i];
+        }
+
+        for (let round = rounds - 1; round >= 0; round--) {
+            // InvShiftRows and InvSubBytes, the state is stored column by column
+            for (let i = 0; i < 16; i++) {
+                const row = i % 4, column = (Math.floor(i / 4) + 4 - row) % 4;
+                temp[i] = tables.invSBox[state[column * 4 + row]];
+            }
+
+            // AddRoundKey
+            for (let i = 0; i < 16; i++) {
+                state[i] = temp[i] ^ roundKeys[round * 16 + i];
+            }
+
+            // InvMixColumns, except in the last round
+            if (round > 0) {
+                for (let c = 0; c < 16; c += 4) {
+                    const a0 = state[c], a1 = state[c + 1], a2 = state[c + 2], a3 = state[c + 3];
+                    state[c] = tables.mul14[a0] ^ tables.mul11[a1] ^ tables.mul13[a2] ^ tables.mul9[a3];
+                    state[c + 1] = tables.mul9[a0] ^ tables.mul14[a1] ^ tables.mul11[a2] ^ tables.mul13[a3];
+                    state[c + 2] = tables.mul13[a0] ^ tables.mul9[a1] ^ tables.mul14[a2] ^ tables.mul11[a3];
+                    state[c + 3] = tables.mul11[a0] ^ tables.mul13[a1] ^ tables.mul9[a2] ^ tables.mul14[a3];
+                }
+            }
+        }
+
+        output.set(state);
+    }
+
+    /**
+     * the combined S-box and P permutation tables of the DES round function
+     * @returns {Array} 8 tables with 64 entries each, indexed by the 6 bit input of the S-box
+     */
+    static #getDesTables() {
+        if (BlockCipher.#desTables) {
+            return BlockCipher.#desTables;
+        }
+
+        const sBoxes = BlockCipher.#DES.S_BOXES, permutation = BlockCipher.#DES.P;
+
+        BlockCipher.#desTables = sBoxes.map((sBox, i) => Uint32Array.from({length: 64}, (v, input) => {
+            // the outer bits select the row, the inner bits the column
+            const row = ((input >> 4) & 0x2) | (input & 0x1), column = (input >> 1) & 0xf,
+                    value = sBox[row * 16 + column] << (28 - 4 * i);
+
+            let result = 0;
+            for (let j = 0; j < 32; j++) {
+                result |= ((value >>> (32 - permutation[j])) & 1) << (31 - j);
+            }
+            return result >>> 0;
+        }));
+
+        return BlockCipher.#desTables;
+    }
+
+    /**
+     * DES key schedule
+     * @param {Uint8Array} key 8 bytes, the parity bits are ignored
+     * @returns {Array} 16 subkeys, each split into the eight 6 bit inputs of the S-boxes
+     */
+    static #expandDesKey(key) {
+        const des = BlockCipher.#DES, block = BlockCipher.#readDesBlock(key), subKeys = [];
+
+        // PC-1 selects 56 bits, split into two halves of 28 bits
+        let c = 0, d = 0;
+        for (let i = 0; i < 28; i++) {
+            c = (c << 1) | BlockCipher.#getBit(block, des.PC1[i]);
+            d = (d << 1) | BlockCipher.#getBit(block, des.PC1[i + 28]);
+        }
+
+        for (const shift of des.SHIFTS) {
+            c = ((c << shift) | (c >>> (28 - shift))) & 0xfffffff;
+            d = ((d << shift) | (d >>> (28 - shift))) & 0xfffffff;
+
+            // PC-2 selects 48 bits of the 56 bits of c and d
+            const subKey = [];
+            for (let i = 0; i < 8; i++) {
+                let value = 0;
+                for (let j = 0; j < 6; j++) {
+                    const position = des.PC2[i * 6 + j];
+                    value = (value << 1) | (position <= 28 ? (c >>> (28 - position)) & 1 : (d >>> (56 - position)) & 1);
+                }
+                subKey.push(value);
+            }
+            subKeys.push(subKey);
+        }
+
+        return subKeys;
+    }
+
+    /**
+     * DES encryption or decryption of a single block
+     * @param {Array} subKeys
+     * @param {Array} block [left, right] 32 bit halves
+     * @param {Boolean} decrypt the subkeys are used in reverse order
+     * @returns {Array} [left, right]
+     */
+    static #cryptDesBlock(subKeys, block, decrypt) {
+        const des = BlockCipher.#DES, tables = BlockCipher.#getDesTables();
+        let [left, right] = BlockCipher.#permuteDesBlock(block, des.IP);
+
+        for (let round = 0; round < 16; round++) {
+            const subKey = subKeys[decrypt ? 15 - round : round];
+            let f = 0;
+
+            // expansion E: the S-box i gets the bits 4i to 4i+5 of the right half (1-based, circular)
+            for (let i = 0; i < 8; i++) {
+                const shift = (4 * i + 31) % 32,
+                        rotated = shift ? (right << shift) | (right >>> (32 - shift)) : right;
+                f |= tables[i][((rotated >>> 26) & 0x3f) ^ subKey[i]];
+            }
+
+            [left, right] = [right, (left ^ f) >>> 0];
+        }
+
+        return BlockCipher.#permuteDesBlock([right, left], des.FP);
+    }
+
+    /**
+     * @param {Array} block [left, right]
+     * @param {Array} table 64 bit positions (1-based)
+     * @returns {Array} [left, right]
+     */
+    static #permuteDesBlock(block, table) {
+        let left = 0, right = 0;
+        for (let i = 0; i < 32; i++) {
+            left = (left << 1) | BlockCipher.#getBit(block, table[i]);
+            right = (right << 1) | BlockCipher.#getBit(block, table[i + 32]);
+        }
+        return [left >>> 0, right >>> 0];
+    }
+
+    /**
+     * @param {Array} block [left, right]
+     * @param {Number} position 1-based, 1 is the most significant bit
+     * @returns {Number}
+     */
+    static #getBit(block, position) {
+        return position <= 32 ? (block[0] >>> (32 - position)) & 1 : (block[1] >>> (64 - position)) & 1;
+    }
+
+    /**
+     * @param {Uint8Array} bytes 8 bytes
+     * @returns {Array} [left, right]
+     */
+    static #readDesBlock(bytes) {
+        return [0, 4].map((offset) => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0);
+    }
+
+    /**
+     * @param {Array} block [left, right]
+     * @param {Uint8Array} output 8 bytes
+     */
+    static #writeDesBlock(block, output) {
+        for (let i = 0; i < 8; i++) {
+            output[i] = (block[i >> 2] >>> (24 - 8 * (i % 4))) & 0xff;
+        }
+    }
+
+    // DES permutations and S-boxes (FIPS 46-3), bit positions are 1-based
+    static #DES = {
+        IP: [
+            58, 50, 42, 34, 26, 18, 10, 2, 60, 52, 44, 36, 28, 20, 12, 4, 62, 54, 46, 38, 30, 22, 14, 6, 64, 56, 48, 40, 32, 24, 16, 8,
+            57, 49, 41, 33, 25, 17, 9, 1, 59, 51, 43, 35, 27, 19, 11, 3, 61, 53, 45, 37, 29, 21, 13, 5, 63, 55, 47, 39, 31, 23, 15, 7
+        ],
+        FP: [
+            40, 8, 48, 16, 56, 24, 64, 32, 39, 7, 47, 15, 55, 23, 63, 31, 38, 6, 46, 14, 54, 22, 62, 30, 37, 5, 45, 13, 53, 21, 61, 29,
+            36, 4, 44, 12, 52, 20, 60, 28, 35, 3, 43, 11, 51, 19, 59, 27, 34, 2, 42, 10, 50, 18, 58, 26, 33, 1, 41, 9, 49, 17, 57, 25
+        ],
+        P: [16, 7, 20, 21, 29, 12, 28, 17, 1, 15, 23, 26, 5, 18, 31, 10, 2, 8, 24, 14, 32, 27, 3, 9, 19, 13, 30, 6, 22, 11, 4, 25],
+        PC1: [
+            57, 49, 41, 33, 25, 17, 9, 1, 58, 50, 42, 34, 26, 18, 10, 2, 59, 51, 43, 35, 27, 19, 11, 3, 60, 52, 44, 36,
+            63, 55, 47, 39, 31, 23, 15, 7, 62, 54, 46, 38, 30, 22, 14, 6, 61, 53, 45, 37, 29, 21, 13, 5, 28, 20, 12, 4
+        ],
+        PC2: [
+            14, 17, 11, 24, 1, 5, 3, 28, 15, 6, 21, 10, 23, 19, 12, 4, 26, 8, 16, 7, 27, 20, 13, 2,
+            41, 52, 31, 37, 47, 55, 30, 40, 51, 45, 33, 48, 44, 49, 39, 56, 34, 53, 46, 42, 50, 36, 29, 32
+        ],
+        SHIFTS: [1, 1, 2, 2, 2, 2, 2, 2, 1, 2, 2, 2, 2, 2, 2, 1],
+        S_BOXES: [
+            [
+                14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7, 0, 15, 7, 4, 14, 2, 13, 1, 10, 6, 12, 11, 9, 5, 3, 8,
+                4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3, 10, 5, 0, 15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13
+            ], [
+                15, 1, 8, 14, 6, 11, 3, 4, 9, 7, 2, 13, 12, 0, 5, 10, 3, 13, 4, 7, 15, 2, 8, 14, 12, 0, 1, 10, 6, 9, 11, 5,
+                0, 14, 7, 11, 10, 4, 13, 1, 5, 8, 12, 6, 9, 3, 2, 15, 13, 8, 10, 1, 3, 15, 4, 2, 11, 6, 7, 12, 0, 5, 14, 9
+            ], [
+                10, 0, 9, 14, 6, 3, 15, 5, 1, 13, 12, 7, 11, 4, 2, 8, 13, 7, 0, 9, 3, 4, 6, 10, 2, 8, 5, 14, 12, 11, 15, 1,
+                13, 6, 4, 9, 8, 15, 3, 0, 11, 1, 2, 12, 5, 10, 14, 7, 1, 10, 13, 0, 6, 9, 8, 7, 4, 15, 14, 3, 11, 5, 2, 12
+            ], [
+                7, 13, 14, 3, 0, 6, 9, 10, 1, 2, 8, 5, 11, 12, 4, 15, 13, 8, 11, 5, 6, 15, 0, 3, 4, 7, 2, 12, 1, 10, 14, 9,
+                10, 6, 9, 0, 12, 11, 7, 13, 15, 1, 3, 14, 5, 2, 8, 4, 3, 15, 0, 6, 10, 1, 13, 8, 9, 4, 5, 11, 12, 7, 2, 14
+            ], [
+                2, 12, 4, 1, 7, 10, 11, 6, 8, 5, 3, 15, 13, 0, 14, 9, 14, 11, 2, 12, 4, 7, 13, 1, 5, 0, 15, 10, 3, 9, 8, 6,
+                4, 2, 1, 11, 10, 13, 7, 8, 15, 9, 12, 5, 6, 3, 0, 14, 11, 8, 12, 7, 1, 14, 2, 13, 6, 15, 0, 9, 10, 4, 5, 3
+            ], [
+                12, 1, 10, 15, 9, 2, 6, 8, 0, 13, 3, 4, 14, 7, 5, 11, 10, 15, 4, 2, 7, 12, 9, 5, 6, 1, 13, 14, 0, 11, 3, 8,
+                9, 14, 15, 5, 2, 8, 12, 3, 7, 0, 4, 10, 1, 13, 11, 6, 4, 3, 2, 12, 9, 5, 15, 10, 11, 14, 1, 7, 6, 0, 8, 13
+            ], [
+                4, 11, 2, 14, 15, 0, 8, 13, 3, 12, 9, 7, 5, 10, 6, 1, 13, 0, 11, 7, 4, 9, 1, 10, 14, 3, 5, 12, 2, 15, 8, 6,
+                1, 4, 11, 13, 12, 3, 7, 14, 10, 15, 6, 8, 0, 5, 9, 2, 6, 11, 13, 8, 1, 4, 10, 7, 9, 5, 0, 15, 14, 2, 3, 12
+            ], [
+                13, 2, 8, 4, 6, 15, 11, 1, 10, 9, 3, 14, 5, 0, 12, 7, 1, 15, 13, 8, 10, 3, 7, 4, 12, 5, 6, 11, 0, 14, 9, 2,
+                7, 11, 4, 1, 9, 12, 14, 2, 0, 6, 10, 13, 15, 3, 5, 8, 2, 1, 14, 7, 4, 10, 8, 13, 15, 12, 9, 0, 3, 5, 6, 11
+            ]
+        ]
+    };
+}
@@ -0,0 +1,144 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Base64} from './Base64.js';
+
+/*
+ Charset helpers: maps windows code pages to TextDecoder labels
+ */
+export class Charset {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * returns the TextDecoder label for a windows code page
+     * @param {Number} codePage
+     * @returns {String|null}
+     */
+    static fromCodePage(codePage) {
+        codePage = parseInt(codePage);
+
+        if (Charset.CONST.CODE_PAGES[codePage]) {
+            return Charset.CONST.CODE_PAGES[codePage];
+        }
+        if (codePage >= 28591 && codePage <= 28605) {
+            return 'iso-8859-' + (codePage - 28590);
+        }
+        if (codePage === 874 || (codePage >= 1250 && codePage <= 1258)) {
+            return 'windows-' + codePage;
+        }
+        return null;
+    }
+
+    /**
+     * returns the code page of a rtf font charset (\fcharset)
+     * @param {Number} fontCharset
+     * @returns {Number|null}
+     */
+    static codePageFromFontCharset(fontCharset) {
+        return Charset.CONST.FONT_CHARSETS[parseInt(fontCharset)] ?? null;
+    }
+
+    /**
+     * decodes bytes with the given charset. Falls back to windows-1252 for unknown charsets.
+     * UTF-7 (RFC 2152), which is not supported by TextDecoder, is decoded here.
+     * @param {Uint8Array} bytes
+     * @param {String|null} charset
+     * @returns {String}
+     */
+    static decode(bytes, charset) {
+        if (charset && ['utf-7', 'utf7', 'unicode-1-1-utf-7'].includes(charset.toLowerCase())) {
+            return Charset.#decodeUtf7(bytes);
+        }
+
+        let decoder;
+        try {
+            decoder = new TextDecoder(charset || 'windows-1252');
+        } catch (e) {
+            decoder = new TextDecoder('windows-1252');
+        }
+        return decoder.decode(bytes);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            CODE_PAGES: {
+                708: 'iso-8859-6',
+                866: 'ibm866',
+                932: 'shift_jis',
+                936: 'gbk',
+                949: 'euc-kr',
+                950: 'big5',
+                1200: 'utf-16le',
+                1201: 'utf-16be',
+                10000: 'macintosh',
+                10007: 'x-mac-cyrillic',
+                20127: 'us-ascii',
+                20866: 'koi8-r',
+                20932: 'euc-jp',
+                20936: 'gb2312',
+                21866: 'koi8-u',
+                50220: 'iso-2022-jp',
+                50221: 'iso-2022-jp',
+                50222: 'iso-2022-jp',
+                51932: 'euc-jp',
+                51936: 'gb2312',
+                51949: 'euc-kr',
+                54936: 'gb18030',
+                65001: 'utf-8'
+            },
+            FONT_CHARSETS: {
+                77: 10000,
+                128: 932,
+                129: 949,
+                130: 1361,
+                134: 936,
+                136: 950,
+                161: 1253,
+                162: 1254,
+                163: 1258,
+                177: 1255,
+                178: 1256,
+                186: 1257,
+                204: 1251,
+                222: 874,
+                238: 1250
+            }
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decodes UTF-7: '+' starts a modified base64 encoded sequence of UTF-16 characters, '+-' is a plus sign
+     * @param {Uint8Array} bytes
+     * @returns {String}
+     */
+    static #decodeUtf7(bytes) {
+        const str = Array.from(bytes, (b) => String.fromCharCode(b)).join(''), decoder = new TextDecoder('utf-16be');
+
+        return str.replace(/\+([A-Za-z0-9+/]*)-?/g, (m, encoded) => {
+            if (encoded === '') {
+                return '+';
+            }
+            const utf16 = Base64.decode(encoded);
+            return decoder.decode(utf16.subarray(0, utf16.length - utf16.length % 2));
+        });
+    }
+}
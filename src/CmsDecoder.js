@@ -0,0 +1,919 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Asn1Decoder} from './Asn1Decoder.js';
+import {Base64} from './Base64.js';
+import {BlockCipher} from './BlockCipher.js';
+
+/*
+ Decoder for CMS structures (RFC 5652) and X.509 certificates (RFC 5280) of S/MIME messages.
+ Signatures are verified with WebCrypto. Enveloped data is decrypted with RSA key transport (in JavaScript, WebCrypto
+ doesn't support PKCS#1 v1.5 encryption) and AES or Triple DES content encryption.
+ */
+export class CmsDecoder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decodes a ContentInfo structure
+     * @param {Uint8Array} data DER or BER encoded
+     * @returns {Object} {contentType, content} content is the asn.1 node of the content
+     */
+    static decodeContentInfo(data) {
+        const root = Asn1Decoder.decode(data);
+
+        return {
+            contentType: Asn1Decoder.readOid(Asn1Decoder.child(root, 0)),
+            content: Asn1Decoder.child(Asn1Decoder.child(root, 1), 0)
+        };
+    }
+
+    /**
+     * decodes the SignedData of a ContentInfo (RFC 5652 5.1)
+     * @param {Uint8Array} data
+     * @returns {Object} {digestAlgorithms, contentType, content, certificates, signers}
+     *          content is null for detached signatures, signers: [{issuer, serialNumber, subjectKeyIdentifier, digestAlgorithm,
+     *          signatureAlgorithm, signatureParameters, signature, signedAttributes, signedAttributesRaw, messageDigest, signingTime, certificate}]
+     */
+    static decodeSignedData(data) {
+        const contentInfo = CmsDecoder.decodeContentInfo(data), oids = CmsDecoder.CONST.OID;
+
+        if (contentInfo.contentType !== oids.SIGNED_DATA) {
+            throw new Error('no signed data');
+        }
+
+        const signedData = contentInfo.content,
+                encapContentInfo = Asn1Decoder.child(signedData, 2),
+                eContent = encapContentInfo.children[1] ? Asn1Decoder.child(encapContentInfo.children[1], 0) : null,
+                certificatesNode = Asn1Decoder.contextChild(signedData, 0),
+                certificates = [];
+
+        for (const certificateNode of (certificatesNode ? certificatesNode.children : [])) {
+            // other certificate formats (e.g. attribute certificates) are tagged
+            if (certificateNode.tagClass === Asn1Decoder.CONST.CLASS.UNIVERSAL) {
+                certificates.push(CmsDecoder.#decodeCertificateNode(certificateNode));
+            }
+        }
+
+        const signerInfos = signedData.children[signedData.children.length - 1],
+                signers = signerInfos.children.map((signerInfo) => CmsDecoder.#decodeSignerInfo(signerInfo, certificates));
+
+        return {
+            digestAlgorithms: Asn1Decoder.child(signedData, 1).children.map((algorithm) => Asn1Decoder.readOid(Asn1Decoder.child(algorithm, 0))),
+            contentType: Asn1Decoder.readOid(Asn1Decoder.child(encapContentInfo, 0)),
+            content: eContent ? Asn1Decoder.readOctetString(eContent) : null,
+            certificates: certificates,
+            signers: signers
+        };
+    }
+
+    /**
+     * decodes an X.509 certificate
+     * @param {Uint8Array|String} data DER or PEM encoded
+     * @returns {Object} {raw, serialNumber, issuer, subject, notBefore, notAfter, emailAddresses, subjectKeyIdentifier, isCA, publicKeyAlgorithm, ...}
+     */
+    static decodeCertificate(data) {
+        if (typeof data === 'string') {
+            const match = data.match(/-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/);
+            data = Base64.decode(match ? match[1] : data);
+        }
+        return CmsDecoder.#decodeCertificateNode(Asn1Decoder.decode(data));
+    }
+
+    /**
+     * verifies the signatures of a SignedData structure.
+     * A signer is trusted if the certificate chain leads to one of the trusted certificates and all certificates of the chain are valid at the signing time.
+     * @param {Object} signedData decoded with decodeSignedData()
+     * @param {Uint8Array|null} content the signed content of detached signatures, the encapsulated content otherwise
+     * @param {Array} trustedCertificates certificates decoded with decodeCertificate(), DER or PEM encoded
+     * @returns {Promise<Object>} {valid, signers: [{certificate, signatureValid, trusted, chain, signingTime, errors}]}
+     */
+    static async verifySignedData(signedData, content=null, trustedCertificates=[]) {
+        const trusted = trustedCertificates.map((certificate) => certificate && certificate.raw ? certificate : CmsDecoder.decodeCertificate(certificate)),
+                signers = [];
+
+        content = content ?? signedData.content;
+
+        for (const signer of signedData.signers) {
+            const result = {
+                certificate: signer.certificate,
+                signatureValid: false,
+                trusted: false,
+                chain: [],
+                signingTime: signer.signingTime,
+                errors: []
+            };
+
+            try {
+                await CmsDecoder.#verifySigner(signer, content, result);
+                if (result.signatureValid) {
+                    await CmsDecoder.#verifyChain(signer.certificate, signedData.certificates, trusted, signer.signingTime ?? new Date(), result);
+                }
+            } catch (e) {
+                result.errors.push(e.message);
+            }
+
+            signers.push(result);
+        }
+
+        return {
+            valid: signers.length > 0 && signers.every((signer) => signer.signatureValid && signer.trusted),
+            signers: signers
+        };
+    }
+
+    /**
+     * decodes the EnvelopedData of a ContentInfo (RFC 5652 6.1)
+     * @param {Uint8Array} data
+     * @returns {Object} {contentType, contentEncryptionAlgorithm, contentEncryptionParameters, encryptedContent, recipients}
+     *          recipients: [{type, issuer, issuerRaw, serialNumber, subjectKeyIdentifier, keyEncryptionAlgorithm, keyEncryptionParameters, encryptedKey}]
+     *          only key transport recipients (type 'keyTransport') contain the key data
+     */
+    static decodeEnvelopedData(data) {
+        const contentInfo = CmsDecoder.decodeContentInfo(data);
+
+        if (contentInfo.contentType !== CmsDecoder.CONST.OID.ENVELOPED_DATA) {
+            throw new Error('no enveloped data');
+        }
+
+        const envelopedData = contentInfo.content,
+                // the originator info is optional and tagged [0]
+                offset = Asn1Decoder.contextChild(envelopedData, 0) ? 1 : 0,
+                recipientInfos = Asn1Decoder.child(envelopedData, offset + 1),
+                encryptedContentInfo = Asn1Decoder.child(envelopedData, offset + 2),
+                algorithm = Asn1Decoder.child(encryptedContentInfo, 1),
+                encryptedContent = Asn1Decoder.contextChild(encryptedContentInfo, 0);
+
+        return {
+            contentType: Asn1Decoder.readOid(Asn1Decoder.child(encryptedContentInfo, 0)),
+            contentEncryptionAlgorithm: Asn1Decoder.readOid(Asn1Decoder.child(algorithm, 0)),
+            contentEncryptionParameters: algorithm.children[1] ?? null,
+            // implicit [0] OCTET STRING, constructed in BER encoded messages
+            encryptedContent: encryptedContent ? Asn1Decoder.readOctetString(encryptedContent) : null,
+            recipients: recipientInfos.children.map((recipientInfo) => CmsDecoder.#decodeRecipientInfo(recipientInfo))
+        };
+    }
+
+    /**
+     * decrypts the content of an EnvelopedData structure with the private key of a recipient
+     * @param {Object} envelopedData decoded with decodeEnvelopedData()
+     * @param {Uint8Array|String|CryptoKey} privateKey RSA private key, PKCS#8 or PKCS#1, DER or PEM encoded, or an extractable CryptoKey
+     * @param {Uint8Array|String|Object|null} certificate certificate of the recipient to select the recipient info, all recipients are tried if null
+     * @returns {Promise<Uint8Array>} the decrypted content
+     */
+    static async decryptEnvelopedData(envelopedData, privateKey, certificate=null) {
+        const algorithm = CmsDecoder.CONST.CONTENT_ENCRYPTION_ALGORITHMS[envelopedData.contentEncryptionAlgorithm];
+        if (!algorithm) {
+            throw new Error('unsupported content encryption algorithm ' + envelopedData.contentEncryptionAlgorithm);
+        }
+        if (!envelopedData.encryptedContent || !envelopedData.contentEncryptionParameters) {
+            throw new Error('encrypted content not found');
+        }
+
+        const key = await CmsDecoder.#readRsaPrivateKey(privateKey),
+                iv = envelopedData.contentEncryptionParameters.content;
+
+        let recipients = envelopedData.recipients.filter((recipient) => recipient.type === 'keyTransport');
+        if (certificate) {
+            certificate = certificate.raw ? certificate : CmsDecoder.decodeCertificate(certificate);
+            recipients = recipients.filter((recipient) => recipient.subjectKeyIdentifier
+                    ? recipient.subjectKeyIdentifier === certificate.subjectKeyIdentifier
+                    : recipient.serialNumber === certificate.serialNumber && recipient.issuerRaw === CmsDecoder.toHex(certificate.issuerRaw));
+        }
+        if (recipients.length === 0) {
+            throw new Error('recipient not found');
+        }
+
+        // without certificate, a wrong key is detected by the padding of the encrypted key or the content
+        for (const recipient of recipients) {
+            try {
+                const contentKey = await CmsDecoder.#decryptContentKey(recipient, key);
+                if (contentKey.length === algorithm.keyLength) {
+                    return await CmsDecoder.#decryptContent(algorithm.name, contentKey, iv, envelopedData.encryptedContent);
+                }
+            } catch (e) {
+                if (e.message !== 'decryption failed') {
+                    throw e;
+                }
+            }
+        }
+
+        throw new Error('decryption failed');
+    }
+
+    /**
+     * formats a distinguished name, e.g. 'C=CH, O=Netas Ltd., CN=Hans Muster'
+     * @param {Object} node Name
+     * @returns {String}
+     */
+    static formatName(node) {
+        const names = CmsDecoder.CONST.ATTRIBUTE_NAMES, rdns = [];
+
+        for (const rdn of node.children ?? []) {
+            for (const attribute of rdn.children ?? []) {
+                const oid = Asn1Decoder.readOid(Asn1Decoder.child(attribute, 0));
+                rdns.push((names[oid] ?? oid) + '=' + Asn1Decoder.readString(Asn1Decoder.child(attribute, 1)));
+            }
+        }
+
+        return rdns.join(', ');
+    }
+
+    /**
+     * converts bytes to a lower case hex string
+     * @param {Uint8Array} data
+     * @returns {String}
+     */
+    static toHex(data) {
+        return Array.from(data, (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            OID: {
+                DATA: '1.2.840.113549.1.7.1',
+                SIGNED_DATA: '1.2.840.113549.1.7.2',
+                ENVELOPED_DATA: '1.2.840.113549.1.7.3',
+                CONTENT_TYPE: '1.2.840.113549.1.9.3',
+                MESSAGE_DIGEST: '1.2.840.113549.1.9.4',
+                SIGNING_TIME: '1.2.840.113549.1.9.5',
+                EMAIL_ADDRESS: '1.2.840.113549.1.9.1',
+                RSA_ENCRYPTION: '1.2.840.113549.1.1.1',
+                RSAES_OAEP: '1.2.840.113549.1.1.7',
+                MGF1: '1.2.840.113549.1.1.8',
+                P_SPECIFIED: '1.2.840.113549.1.1.9',
+                RSASSA_PSS: '1.2.840.113549.1.1.10',
+                EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+                SUBJECT_KEY_IDENTIFIER: '2.5.29.14',
+                SUBJECT_ALT_NAME: '2.5.29.17',
+                BASIC_CONSTRAINTS: '2.5.29.19'
+            },
+            DIGEST_ALGORITHMS: {
+                '1.3.14.3.2.26': 'SHA-1',
+                '2.16.840.1.101.3.4.2.1': 'SHA-256',
+                '2.16.840.1.101.3.4.2.2': 'SHA-384',
+                '2.16.840.1.101.3.4.2.3': 'SHA-512'
+            },
+            // signature algorithms with the hash, rsaEncryption uses the digest algorithm of the signer
+            SIGNATURE_ALGORITHMS: {
+                '1.2.840.113549.1.1.1': {name: 'RSASSA-PKCS1-v1_5', hash: null},
+                '1.2.840.113549.1.1.5': {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1'},
+                '1.2.840.113549.1.1.11': {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256'},
+                '1.2.840.113549.1.1.12': {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384'},
+                '1.2.840.113549.1.1.13': {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512'},
+                '1.2.840.113549.1.1.10': {name: 'RSA-PSS', hash: null},
+                '1.2.840.10045.2.1': {name: 'ECDSA', hash: null},
+                '1.2.840.10045.4.1': {name: 'ECDSA', hash: 'SHA-1'},
+                '1.2.840.10045.4.3.2': {name: 'ECDSA', hash: 'SHA-256'},
+                '1.2.840.10045.4.3.3': {name: 'ECDSA', hash: 'SHA-384'},
+                '1.2.840.10045.4.3.4': {name: 'ECDSA', hash: 'SHA-512'}
+            },
+            CONTENT_ENCRYPTION_ALGORITHMS: {
+                '2.16.840.1.101.3.4.1.2': {name: 'AES', keyLength: 16},
+                '2.16.840.1.101.3.4.1.22': {name: 'AES', keyLength: 24},
+                '2.16.840.1.101.3.4.1.42': {name: 'AES', keyLength: 32},
+                '1.2.840.113549.3.7': {name: 'DES-EDE3', keyLength: 24}
+            },
+            NAMED_CURVES: {
+                '1.2.840.10045.3.1.7': {name: 'P-256', size: 32},
+                '1.3.132.0.34': {name: 'P-384', size: 48},
+                '1.3.132.0.35': {name: 'P-521', size: 66}
+            },
+            ATTRIBUTE_NAMES: {
+                '2.5.4.3': 'CN',
+                '2.5.4.4': 'SN',
+                '2.5.4.5': 'SERIALNUMBER',
+                '2.5.4.6': 'C',
+                '2.5.4.7': 'L',
+                '2.5.4.8': 'ST',
+                '2.5.4.9': 'STREET',
+                '2.5.4.10': 'O',
+                '2.5.4.11': 'OU',
+                '2.5.4.12': 'T',
+                '2.5.4.42': 'GN',
+                '1.2.840.113549.1.9.1': 'E',
+                '0.9.2342.19200300.100.1.1': 'UID',
+                '0.9.2342.19200300.100.1.25': 'DC'
+            },
+            MAX_CHAIN_LENGTH: 10
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * @param {Object} node Certificate
+     * @returns {Object}
+     */
+    static #decodeCertificateNode(node) {
+        const oids = CmsDecoder.CONST.OID,
+                tbs = Asn1Decoder.child(node, 0),
+                // the version is optional and tagged [0]
+                offset = Asn1Decoder.contextChild(tbs, 0) ? 1 : 0,
+                validity = Asn1Decoder.child(tbs, offset + 3),
+                issuer = Asn1Decoder.child(tbs, offset + 2),
+                subject = Asn1Decoder.child(tbs, offset + 4),
+                subjectPublicKeyInfo = Asn1Decoder.child(tbs, offset + 5),
+                publicKeyAlgorithm = Asn1Decoder.child(subjectPublicKeyInfo, 0),
+                signatureAlgorithm = Asn1Decoder.child(node, 1),
+                extensions = Asn1Decoder.contextChild(tbs, 3);
+
+        const certificate = {
+            raw: node.raw,
+            tbs: tbs.raw,
+            version: offset ? Asn1Decoder.readInteger(Asn1Decoder.child(Asn1Decoder.child(tbs, 0), 0)) + 1 : 1,
+            serialNumber: Asn1Decoder.readIntegerHex(Asn1Decoder.child(tbs, offset)),
+            issuer: CmsDecoder.formatName(issuer),
+            issuerRaw: issuer.raw,
+            subject: CmsDecoder.formatName(subject),
+            subjectRaw: subject.raw,
+            notBefore: Asn1Decoder.readTime(Asn1Decoder.child(validity, 0)),
+            notAfter: Asn1Decoder.readTime(Asn1Decoder.child(validity, 1)),
+            emailAddresses: [],
+            subjectKeyIdentifier: null,
+            isCA: false,
+            publicKeyAlgorithm: Asn1Decoder.readOid(Asn1Decoder.child(publicKeyAlgorithm, 0)),
+            namedCurve: null,
+            subjectPublicKeyInfo: subjectPublicKeyInfo.raw,
+            signatureAlgorithm: Asn1Decoder.readOid(Asn1Decoder.child(signatureAlgorithm, 0)),
+            signatureParameters: signatureAlgorithm.children[1] ?? null,
+            signature: Asn1Decoder.readBitString(Asn1Decoder.child(node, 2))
+        };
+
+        if (certificate.publicKeyAlgorithm === oids.EC_PUBLIC_KEY && publicKeyAlgorithm.children[1]) {
+            certificate.namedCurve = Asn1Decoder.readOid(publicKeyAlgorithm.children[1]);
+        }
+
+        // e-mail address in the subject
+        for (const rdn of subject.children) {
+            for (const attribute of rdn.children) {
+                if (Asn1Decoder.readOid(Asn1Decoder.child(attribute, 0)) === oids.EMAIL_ADDRESS) {
+                    certificate.emailAddresses.push(Asn1Decoder.readString(Asn1Decoder.child(attribute, 1)));
+                }
+            }
+        }
+
+        for (const extension of extensions ? Asn1Decoder.child(extensions, 0).children : []) {
+            const oid = Asn1Decoder.readOid(Asn1Decoder.child(extension, 0)),
+                    value = Asn1Decoder.decode(extension.children[extension.children.length - 1].content);
+
+            switch (oid) {
+                case oids.SUBJECT_KEY_IDENTIFIER:
+                    certificate.subjectKeyIdentifier = CmsDecoder.toHex(value.content);
+                    break;
+                case oids.SUBJECT_ALT_NAME:
+                    // rfc822Name [1]
+                    for (const name of value.children) {
+                        if (name.tagClass === Asn1Decoder.CONST.CLASS.CONTEXT && name.tag === 1) {
+                            certificate.emailAddresses.push(String.fromCharCode(...name.content));
+                        }
+                    }
+                    break;
+                case oids.BASIC_CONSTRAINTS:
+                    certificate.isCA = !!(value.children.length > 0 && value.children[0].tag === Asn1Decoder.CONST.TAG.BOOLEAN && value.children[0].content[0]);
+                    break;
+            }
+        }
+
+        certificate.emailAddresses = [...new Set(certificate.emailAddresses.map((email) => email.toLowerCase()))];
+
+        return certificate;
+    }
+
+    /**
+     * @param {Object} node SignerInfo (RFC 5652 5.3)
+     * @param {Array} certificates certificates of the SignedData
+     * @returns {Object}
+     */
+    static #decodeSignerInfo(node, certificates) {
+        const oids = CmsDecoder.CONST.OID,
+                sid = Asn1Decoder.child(node, 1),
+                signedAttributes = Asn1Decoder.contextChild(node, 0),
+                offset = signedAttributes ? 1 : 0,
+                signatureAlgorithm = Asn1Decoder.child(node, offset + 3);
+
+        const signer = {
+            issuer: null,
+            serialNumber: null,
+            subjectKeyIdentifier: null,
+            digestAlgorithm: Asn1Decoder.readOid(Asn1Decoder.child(Asn1Decoder.child(node, 2), 0)),
+            signatureAlgorithm: Asn1Decoder.readOid(Asn1Decoder.child(signatureAlgorithm, 0)),
+            signatureParameters: signatureAlgorithm.children[1] ?? null,
+            signature: Asn1Decoder.readOctetString(Asn1Decoder.child(node, offset + 4)),
+            signedAttributes: {},
+            signedAttributesRaw: null,
+            messageDigest: null,
+            signingTime: null,
+            certificate: null
+        };
+
+        // IssuerAndSerialNumber or [0] SubjectKeyIdentifier
+        if (sid.tagClass === Asn1Decoder.CONST.CLASS.CONTEXT) {
+            signer.subjectKeyIdentifier = CmsDecoder.toHex(sid.content);
+            signer.certificate = certificates.find((certificate) => certificate.subjectKeyIdentifier === signer.subjectKeyIdentifier) ?? null;
+        } else {
+            const issuerRaw = CmsDecoder.toHex(Asn1Decoder.child(sid, 0).raw);
+            signer.issuer = CmsDecoder.formatName(Asn1Decoder.child(sid, 0));
+            signer.serialNumber = Asn1Decoder.readIntegerHex(Asn1Decoder.child(sid, 1));
+            signer.certificate = certificates.find((certificate) =>
+                certificate.serialNumber === signer.serialNumber && CmsDecoder.toHex(certificate.issuerRaw) === issuerRaw) ?? null;
+        }
+
+        if (signedAttributes) {
+            // the signature is calculated over the DER encoded SET OF attributes, not the implicit [0] tag
+            signer.signedAttributesRaw = new Uint8Array(signedAttributes.raw);
+            signer.signedAttributesRaw[0] = 0x31;
+
+            for (const attribute of signedAttributes.children) {
+                const oid = Asn1Decoder.readOid(Asn1Decoder.child(attribute, 0)),
+                        value = Asn1Decoder.child(Asn1Decoder.child(attribute, 1), 0);
+
+                signer.signedAttributes[oid] = value.raw;
+                if (oid === oids.MESSAGE_DIGEST) {
+                    signer.messageDigest = value.content;
+                } else if (oid === oids.SIGNING_TIME) {
+                    signer.signingTime = Asn1Decoder.readTime(value);
+                }
+            }
+        }
+
+        return signer;
+    }
+
+    /**
+     * @param {Object} node RecipientInfo (RFC 5652 6.2), KeyTransRecipientInfo is not tagged
+     * @returns {Object}
+     */
+    static #decodeRecipientInfo(node) {
+        const recipient = {
+            type: ['keyTransport', 'keyAgreement', 'kek', 'password', 'other'][node.tagClass === Asn1Decoder.CONST.CLASS.CONTEXT ? node.tag : 0] ?? 'other',
+            issuer: null,
+            issuerRaw: null,
+            serialNumber: null,
+            subjectKeyIdentifier: null,
+            keyEncryptionAlgorithm: null,
+            keyEncryptionParameters: null,
+            encryptedKey: null
+        };
+
+        if (recipient.type !== 'keyTransport') {
+            return recipient;
+        }
+
+        const rid = Asn1Decoder.child(node, 1), algorithm = Asn1Decoder.child(node, 2);
+
+        // IssuerAndSerialNumber or [0] SubjectKeyIdentifier
+        if (rid.tagClass === Asn1Decoder.CONST.CLASS.CONTEXT) {
+            recipient.subjectKeyIdentifier = CmsDecoder.toHex(rid.content);
+        } else {
+            recipient.issuer = CmsDecoder.formatName(Asn1Decoder.child(rid, 0));
+            recipient.issuerRaw = CmsDecoder.toHex(Asn1Decoder.child(rid, 0).raw);
+            recipient.serialNumber = Asn1Decoder.readIntegerHex(Asn1Decoder.child(rid, 1));
+        }
+
+        recipient.keyEncryptionAlgorithm = Asn1Decoder.readOid(Asn1Decoder.child(algorithm, 0));
+        recipient.keyEncryptionParameters = algorithm.children[1] ?? null;
+        recipient.encryptedKey = Asn1Decoder.readOctetString(Asn1Decoder.child(node, 3));
+
+        return recipient;
+    }
+
+    /**
+     * reads a RSA private key
+     * @param {Uint8Array|String|CryptoKey} privateKey
+     * @returns {Promise<Object>} {modulus, privateExponent, prime1, prime2, exponent1, exponent2, coefficient, size} BigInt values, size in bytes
+     */
+    static async #readRsaPrivateKey(privateKey) {
+        if (globalThis.CryptoKey && privateKey instanceof globalThis.CryptoKey) {
+            if (!privateKey.extractable) {
+                throw new Error('private key is not extractable');
+            }
+            privateKey = new Uint8Array(await CmsDecoder.#getSubtle().exportKey('pkcs8', privateKey));
+
+        } else if (typeof privateKey === 'string') {
+            const match = privateKey.match(/-----BEGIN ([A-Z ]+)-----([\s\S]+?)-----END \1-----/);
+            if (match && match[1] === 'ENCRYPTED PRIVATE KEY') {
+                throw new Error('encrypted private keys are not supported');
+            }
+            if (match && match[1] !== 'PRIVATE KEY' && match[1] !== 'RSA PRIVATE KEY') {
+                throw new Error('unsupported private key');
+            }
+            privateKey = Base64.decode(match ? match[2] : privateKey);
+        }
+
+        let node = Asn1Decoder.decode(privateKey);
+
+        // PKCS#8 PrivateKeyInfo contains the PKCS#1 RSAPrivateKey in an OCTET STRING
+        if (Asn1Decoder.child(node, 1).tag === Asn1Decoder.CONST.TAG.SEQUENCE) {
+            if (Asn1Decoder.readOid(Asn1Decoder.child(Asn1Decoder.child(node, 1), 0)) !== CmsDecoder.CONST.OID.RSA_ENCRYPTION) {
+                throw new Error('unsupported private key');
+            }
+            node = Asn1Decoder.decode(Asn1Decoder.readOctetString(Asn1Decoder.child(node, 2)));
+        }
+
+        const [modulus, , privateExponent, prime1, prime2, exponent1, exponent2, coefficient] = [1, 2, 3, 4, 5, 6, 7, 8].map((index) =>
+            CmsDecoder.#toBigInt(Asn1Decoder.child(node, index).content));
+
+        return {
+            modulus: modulus,
+            privateExponent: privateExponent,
+            prime1: prime1,
+            prime2: prime2,
+            exponent1: exponent1,
+            exponent2: exponent2,
+            coefficient: coefficient,
+            size: Math.ceil(modulus.toString(16).length / 2)
+        };
+    }
+
+    /**
+     * decrypts the content encryption key of a key transport recipient, RSAES-PKCS1-v1_5 or RSAES-OAEP (RFC 8017)
+     * @param {Object} recipient
+     * @param {Object} key RSA private key
+     * @returns {Promise<Uint8Array>}
+     */
+    static async #decryptContentKey(recipient, key) {
+        const oids = CmsDecoder.CONST.OID;
+
+        if (recipient.keyEncryptionAlgorithm !== oids.RSA_ENCRYPTION && recipient.keyEncryptionAlgorithm !== oids.RSAES_OAEP) {
+            throw new Error('unsupported key encryption algorithm ' + recipient.keyEncryptionAlgorithm);
+        }
+
+        const ciphertext = CmsDecoder.#toBigInt(recipient.encryptedKey);
+        if (recipient.encryptedKey.length > key.size || ciphertext >= key.modulus) {
+            throw new Error('decryption failed');
+        }
+
+        // chinese remainder theorem
+        const m1 = CmsDecoder.#modPow(ciphertext % key.prime1, key.exponent1, key.prime1),
+                m2 = CmsDecoder.#modPow(ciphertext % key.prime2, key.exponent2, key.prime2),
+                h = (((m1 - m2) % key.prime1 + key.prime1) * key.coefficient) % key.prime1,
+                message = CmsDecoder.#fromBigInt(m2 + h * key.prime2, key.size);
+
+        if (recipient.keyEncryptionAlgorithm === oids.RSAES_OAEP) {
+            return CmsDecoder.#decodeOaep(message, recipient.keyEncryptionParameters);
+        }
+
+        // EM = 0x00 || 0x02 || PS (at least 8 non-zero bytes) || 0x00 || M
+        const separator = message.indexOf(0, 2);
+        if (message[0] !== 0 || message[1] !== 2 || separator < 10) {
+            throw new Error('decryption failed');
+        }
+        return message.slice(separator + 1);
+    }
+
+    /**
+     * EME-OAEP decoding (RFC 8017 7.1.2)
+     * @param {Uint8Array} message
+     * @param {Object|null} parameters RSAES-OAEP-params, the defaults are SHA-1, MGF1 with SHA-1 and an empty label
+     * @returns {Promise<Uint8Array>}
+     */
+    static async #decodeOaep(message, parameters) {
+        const oids = CmsDecoder.CONST.OID, digests = CmsDecoder.CONST.DIGEST_ALGORITHMS, subtle = CmsDecoder.#getSubtle();
+        let hash = 'SHA-1', mgfHash = 'SHA-1', label = new Uint8Array(0);
+
+        for (const child of parameters && parameters.children ? parameters.children : []) {
+            const algorithm = Asn1Decoder.child(child, 0), oid = Asn1Decoder.readOid(Asn1Decoder.child(algorithm, 0));
+
+            if (child.tag === 0) {
+                hash = digests[oid] ?? null;
+            } else if (child.tag === 1) {
+                mgfHash = oid === oids.MGF1 ? digests[Asn1Decoder.readOid(Asn1Decoder.child(Asn1Decoder.child(algorithm, 1), 0))] ?? null : null;
+            } else if (child.tag === 2 && oid === oids.P_SPECIFIED) {
+                label = Asn1Decoder.readOctetString(Asn1Decoder.child(algorithm, 1));
+            }
+        }
+        if (!hash || !mgfHash) {
+            throw new Error('unsupported oaep parameters');
+        }
+
+        const digest = async (data) => new Uint8Array(await subtle.digest(hash, data)),
+                labelHash = await digest(label),
+                hashLength = labelHash.length;
+
+        if (message.length < 2 * hashLength + 2 || message[0] !== 0) {
+            throw new Error('decryption failed');
+        }
+
+        const maskedSeed = message.subarray(1, hashLength + 1),
+                maskedDb = message.subarray(hashLength + 1),
+                seed = CmsDecoder.#xor(maskedSeed, await CmsDecoder.#mgf1(mgfHash, maskedDb, hashLength)),
+                db = CmsDecoder.#xor(maskedDb, await CmsDecoder.#mgf1(mgfHash, seed, maskedDb.length));
+
+        // DB = lHash || PS (zero bytes) || 0x01 || M
+        let index = hashLength;
+        while (index < db.length && db[index] === 0) {
+            index++;
+        }
+        if (CmsDecoder.toHex(db.subarray(0, hashLength)) !== CmsDecoder.toHex(labelHash) || db[index] !== 1) {
+            throw new Error('decryption failed');
+        }
+
+        return db.slice(index + 1);
+    }
+
+    /**
+     * mask generation function MGF1 (RFC 8017 B.2.1)
+     * @param {String} hash
+     * @param {Uint8Array} seed
+     * @param {Number} length
+     * @returns {Promise<Uint8Array>}
+     */
+    static async #mgf1(hash, seed, length) {
+        const mask = new Uint8Array(length), input = new Uint8Array(seed.length + 4);
+        input.set(seed);
+
+        for (let offset = 0, counter = 0; offset < length; counter++) {
+            new DataView(input.buffer).setUint32(seed.length, counter);
+            const block = new Uint8Array(await CmsDecoder.#getSubtle().digest(hash, input));
+            mask.set(block.subarray(0, length - offset), offset);
+            offset += block.length;
+        }
+
+        return mask;
+    }
+
+    /**
+     * decrypts the content with WebCrypto, the JavaScript implementation is used for Triple DES
+     * and if WebCrypto doesn't support the key size (AES-192 in browsers)
+     * @param {String} algorithm 'AES' or 'DES-EDE3'
+     * @param {Uint8Array} key
+     * @param {Uint8Array} iv
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    static async #decryptContent(algorithm, key, iv, data) {
+        if (algorithm === 'AES') {
+            let cryptoKey = null;
+            try {
+                cryptoKey = await CmsDecoder.#getSubtle().importKey('raw', key, 'AES-CBC', false, ['decrypt']);
+            } catch (e) {
+                // fallback below
+            }
+
+            if (cryptoKey) {
+                try {
+                    return new Uint8Array(await CmsDecoder.#getSubtle().decrypt({name: 'AES-CBC', iv: iv}, cryptoKey, data));
+                } catch (e) {
+                    throw new Error('decryption failed');
+                }
+            }
+        }
+
+        return BlockCipher.decryptCbc(algorithm, key, iv, data);
+    }
+
+    /**
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {Uint8Array}
+     */
+    static #xor(a, b) {
+        return a.map((value, i) => value ^ b[i]);
+    }
+
+    /**
+     * @param {BigInt} base
+     * @param {BigInt} exponent
+     * @param {BigInt} modulus
+     * @returns {BigInt}
+     */
+    static #modPow(base, exponent, modulus) {
+        let result = 1n;
+        base %= modulus;
+
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = (result * base) % modulus;
+            }
+            base = (base * base) % modulus;
+            exponent >>= 1n;
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {Uint8Array} bytes big endian
+     * @returns {BigInt}
+     */
+    static #toBigInt(bytes) {
+        return bytes.length ? BigInt('0x' + CmsDecoder.toHex(bytes)) : 0n;
+    }
+
+    /**
+     * @param {BigInt} value
+     * @param {Number} length number of bytes, big endian
+     * @returns {Uint8Array}
+     */
+    static #fromBigInt(value, length) {
+        const hex = value.toString(16).padStart(length * 2, '0');
+        return Uint8Array.from({length: length}, (v, i) => parseInt(hex.substring(i * 2, i * 2 + 2), 16));
+    }
+
+    /**
+     * verifies the content digest and the signature of a signer
+     * @param {Object} signer
+     * @param {Uint8Array|null} content
+     * @param {Object} result
+     */
+    static async #verifySigner(signer, content, result) {
+        if (!signer.certificate) {
+            result.errors.push('signer certificate not found');
+            return;
+        }
+        if (!content) {
+            result.errors.push('signed content not found');
+            return;
+        }
+
+        const hash = CmsDecoder.CONST.DIGEST_ALGORITHMS[signer.digestAlgorithm];
+        if (!hash) {
+            result.errors.push('unsupported digest algorithm ' + signer.digestAlgorithm);
+            return;
+        }
+
+        let signedBytes = content;
+        if (signer.signedAttributesRaw) {
+            const digest = new Uint8Array(await CmsDecoder.#getSubtle().digest(hash, content));
+            if (!signer.messageDigest || CmsDecoder.toHex(digest) !== CmsDecoder.toHex(signer.messageDigest)) {
+                result.errors.push('message digest mismatch');
+                return;
+            }
+            signedBytes = signer.signedAttributesRaw;
+        }
+
+        result.signatureValid = await CmsDecoder.#verifySignature(signer.certificate, signer.signatureAlgorithm, signer.signatureParameters, hash, signer.signature, signedBytes);
+        if (!result.signatureValid) {
+            result.errors.push('invalid signature');
+        }
+    }
+
+    /**
+     * builds the certificate chain of the signer up to a trusted certificate
+     * @param {Object} certificate signer certificate
+     * @param {Array} certificates certificates of the message
+     * @param {Array} trustedCertificates
+     * @param {Date} date the certificates must be valid at this time
+     * @param {Object} result
+     */
+    static async #verifyChain(certificate, certificates, trustedCertificates, date, result) {
+        const isTrusted = (cert) => trustedCertificates.some((trustedCertificate) => CmsDecoder.toHex(trustedCertificate.raw) === CmsDecoder.toHex(cert.raw));
+        let current = certificate;
+
+        for (let i = 0; i < CmsDecoder.CONST.MAX_CHAIN_LENGTH && current; i++) {
+            result.chain.push(current);
+
+            if (date < current.notBefore || date > current.notAfter) {
+                result.errors.push('certificate not valid at signing time: ' + current.subject);
+                return;
+            }
+            if (isTrusted(current)) {
+                result.trusted = true;
+                return;
+            }
+
+            // the issuer is searched in the trusted certificates first
+            const issuerRaw = CmsDecoder.toHex(current.issuerRaw), subject = current;
+            let issuer = null;
+            for (const candidate of [...trustedCertificates, ...certificates]) {
+                if (candidate !== subject && CmsDecoder.toHex(candidate.subjectRaw) === issuerRaw
+                        && await CmsDecoder.#verifySignature(candidate, subject.signatureAlgorithm, subject.signatureParameters, null, subject.signature, subject.tbs)) {
+                    issuer = candidate;
+                    break;
+                }
+            }
+
+            // self-signed certificates which are not trusted end the chain
+            if (!issuer || CmsDecoder.toHex(issuer.raw) === CmsDecoder.toHex(current.raw)) {
+                result.errors.push('certificate chain not trusted');
+                return;
+            }
+            if (!issuer.isCA && issuer.version === 3) {
+                result.errors.push('issuer is no certificate authority: ' + issuer.subject);
+                return;
+            }
+            current = issuer;
+        }
+
+        result.errors.push('certificate chain not trusted');
+    }
+
+    /**
+     * verifies a signature with the public key of a certificate
+     * @param {Object} certificate
+     * @param {String} algorithmOid
+     * @param {Object|null} parameters asn.1 node of the algorithm parameters
+     * @param {String|null} hash the hash of the signer, used if the algorithm doesn't define the hash
+     * @param {Uint8Array} signature
+     * @param {Uint8Array} data
+     * @returns {Promise<Boolean>}
+     */
+    static async #verifySignature(certificate, algorithmOid, parameters, hash, signature, data) {
+        const algorithm = CmsDecoder.CONST.SIGNATURE_ALGORITHMS[algorithmOid];
+        if (!algorithm) {
+            throw new Error('unsupported signature algorithm ' + algorithmOid);
+        }
+
+        const subtle = CmsDecoder.#getSubtle();
+        let keyAlgorithm, verifyAlgorithm;
+        hash = algorithm.hash ?? hash ?? 'SHA-256';
+
+        switch (algorithm.name) {
+            case 'RSASSA-PKCS1-v1_5':
+                keyAlgorithm = {name: 'RSASSA-PKCS1-v1_5', hash: hash};
+                verifyAlgorithm = {name: 'RSASSA-PKCS1-v1_5'};
+                break;
+
+            case 'RSA-PSS': {
+                const pss = CmsDecoder.#readPssParameters(parameters);
+                keyAlgorithm = {name: 'RSA-PSS', hash: pss.hash};
+                verifyAlgorithm = {name: 'RSA-PSS', saltLength: pss.saltLength};
+                break;
+            }
+
+            case 'ECDSA': {
+                const curve = CmsDecoder.CONST.NAMED_CURVES[certificate.namedCurve];
+                if (!curve) {
+                    throw new Error('unsupported elliptic curve ' + certificate.namedCurve);
+                }
+                keyAlgorithm = {name: 'ECDSA', namedCurve: curve.name};
+                verifyAlgorithm = {name: 'ECDSA', hash: hash};
+                signature = CmsDecoder.#convertEcdsaSignature(signature, curve.size);
+                break;
+            }
+        }
+
+        try {
+            const key = await subtle.importKey('spki', certificate.subjectPublicKeyInfo, keyAlgorithm, false, ['verify']);
+            return await subtle.verify(verifyAlgorithm, key, signature, data);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * RSASSA-PSS-params (RFC 4055), the defaults are SHA-1 and a salt length of 20
+     * @param {Object|null} node
+     * @returns {Object} {hash, saltLength}
+     */
+    static #readPssParameters(node) {
+        const parameters = {hash: 'SHA-1', saltLength: 20};
+
+        for (const child of node && node.children ? node.children : []) {
+            if (child.tag === 0) {
+                parameters.hash = CmsDecoder.CONST.DIGEST_ALGORITHMS[Asn1Decoder.readOid(Asn1Decoder.child(Asn1Decoder.child(child, 0), 0))] ?? parameters.hash;
+            } else if (child.tag === 2) {
+                parameters.saltLength = Asn1Decoder.readInteger(Asn1Decoder.child(child, 0));
+            }
+        }
+
+        return parameters;
+    }
+
+    /**
+     * converts a DER encoded ECDSA signature (SEQUENCE of r and s) to the concatenated form of WebCrypto
+     * @param {Uint8Array} signature
+     * @param {Number} size size of r and s in bytes
+     * @returns {Uint8Array}
+     */
+    static #convertEcdsaSignature(signature, size) {
+        const sequence = Asn1Decoder.decode(signature), result = new Uint8Array(size * 2);
+
+        [0, 1].forEach((i) => {
+            let value = Asn1Decoder.child(sequence, i).content;
+            while (value.length > size && value[0] === 0) {
+                value = value.subarray(1);
+            }
+            result.set(value, i * size + size - value.length);
+        });
+
+        return result;
+    }
+
+    /**
+     * @returns {SubtleCrypto}
+     */
+    static #getSubtle() {
+        if (!globalThis.crypto || !globalThis.crypto.subtle) {
+            throw new Error('webcrypto is not available');
+        }
+        return globalThis.crypto.subtle;
+    }
+}
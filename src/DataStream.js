@@ -172,13 +172,17 @@ export class DataStream {
     /**
      Saves the DataStream contents to the given filename.
      Uses Chrome's anchor download property to initiate download.
+     Only available in browsers with a DOM, the rest of DataStream runs in any environment.
 
      @param {string} filename Filename to save as.
      @return {null}
      */
     save(filename) {
-        let blob = new Blob(this.buffer);
-        let URL = (window.webkitURL || window.URL);
+        if (typeof document === 'undefined' || typeof Blob === 'undefined') {
+            throw new Error("DataStream.save: Only available in browsers.");
+        }
+        let blob = new Blob([this.buffer]);
+        let URL = globalThis.URL;
         if (URL && URL.createObjectURL) {
             let url = URL.createObjectURL(blob);
             let a = document.createElement('a');
@@ -0,0 +1,166 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Charset} from './Charset.js';
+
+/*
+ Decoder for entry ids of recipients and distribution list members (MS-OXCDATA 2.2.4 and 2.2.5)
+ */
+export class EntryIdDecoder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decodes a one-off, address book or wrapped entry id. Other entry ids are returned with the provider UID only.
+     * @param {Uint8Array} data
+     * @param {String|null} charset charset of one-off entry ids without unicode strings
+     * @returns {Object} {type, providerUid, displayName, addressType, emailAddress, memberType, emailIndex, embedded}
+     */
+    static decode(data, charset=null) {
+        if (!(data instanceof Uint8Array) || data.length < 20) {
+            throw new Error('invalid entry id');
+        }
+
+        const providerUid = EntryIdDecoder.toHex(data.subarray(4, 20)),
+                entryId = {
+                    type: 'unknown',
+                    providerUid: providerUid,
+                    displayName: null,
+                    addressType: null,
+                    emailAddress: null,
+                    memberType: null,
+                    emailIndex: null,
+                    embedded: null
+                };
+
+        switch (providerUid) {
+            case EntryIdDecoder.CONST.PROVIDER_UID.ONE_OFF:
+                return Object.assign(entryId, EntryIdDecoder.#decodeOneOff(data, charset));
+
+            case EntryIdDecoder.CONST.PROVIDER_UID.ADDRESS_BOOK:
+                // Version (4 bytes), Type (4 bytes), X500 DN
+                return Object.assign(entryId, {
+                    type: 'addressBook',
+                    addressType: 'EX',
+                    emailAddress: EntryIdDecoder.#readString(data, 28, false, 'latin1').value
+                });
+
+            case EntryIdDecoder.CONST.PROVIDER_UID.WRAPPED:
+                return Object.assign(entryId, EntryIdDecoder.#decodeWrapped(data, charset));
+        }
+
+        return entryId;
+    }
+
+    /**
+     * converts bytes to a lower case hex string
+     * @param {Uint8Array} data
+     * @returns {String}
+     */
+    static toHex(data) {
+        return Array.from(data, (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            PROVIDER_UID: {
+                ONE_OFF: '812b1fa4bea310199d6e00dd010f5402',
+                ADDRESS_BOOK: 'dca740c8c042101ab4b908002b2fe182',
+                WRAPPED: 'c091add3519dcf11a4a900aa0047faa4'
+            },
+            ONE_OFF_FLAGS: {
+                UNICODE: 0x8000
+            },
+            // low order bits of the type of wrapped entry ids
+            MEMBER_TYPES: {
+                0x0: 'oneOff',
+                0x3: 'contact',
+                0x4: 'distributionList',
+                0x5: 'galUser',
+                0x6: 'galDistributionList'
+            }
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * one-off entry id (MS-OXCDATA 2.2.5.1), the address is stored in the entry id
+     * @param {Uint8Array} data
+     * @param {String|null} charset
+     * @returns {Object}
+     */
+    static #decodeOneOff(data, charset) {
+        // Flags (4 bytes), ProviderUID (16 bytes), Version (2 bytes), Flags (2 bytes)
+        const flags = data[22] | (data[23] << 8),
+                unicode = !!(flags & EntryIdDecoder.CONST.ONE_OFF_FLAGS.UNICODE),
+                displayName = EntryIdDecoder.#readString(data, 24, unicode, charset),
+                addressType = EntryIdDecoder.#readString(data, displayName.end, unicode, charset),
+                emailAddress = EntryIdDecoder.#readString(data, addressType.end, unicode, charset);
+
+        return {
+            type: 'oneOff',
+            displayName: displayName.value,
+            addressType: addressType.value,
+            emailAddress: emailAddress.value
+        };
+    }
+
+    /**
+     * wrapped entry id (MS-OXCDATA 2.2.5.3) of distribution list members, wraps the entry id of the member
+     * @param {Uint8Array} data
+     * @param {String|null} charset
+     * @returns {Object}
+     */
+    static #decodeWrapped(data, charset) {
+        // the low order bits are the member type, the next bits the e-mail address of contacts (email1, email2, ...)
+        const memberType = data[20] & 0x0f,
+                embedded = data.length > 21 ? EntryIdDecoder.decode(data.subarray(21), charset) : null;
+
+        return {
+            type: 'wrapped',
+            displayName: embedded ? embedded.displayName : null,
+            addressType: embedded ? embedded.addressType : null,
+            emailAddress: embedded ? embedded.emailAddress : null,
+            memberType: EntryIdDecoder.CONST.MEMBER_TYPES[memberType] ?? null,
+            emailIndex: memberType === 0x3 ? (data[20] >> 4) & 0x07 : null,
+            embedded: embedded
+        };
+    }
+
+    /**
+     * reads a null terminated string
+     * @param {Uint8Array} data
+     * @param {Number} offset
+     * @param {Boolean} unicode utf-16 or 8-bit string
+     * @param {String|null} charset charset of 8-bit strings
+     * @returns {Object} {value, end} end is the offset after the terminating null
+     */
+    static #readString(data, offset, unicode, charset) {
+        const charSize = unicode ? 2 : 1;
+        let end = offset;
+
+        while (end + charSize <= data.length && (data[end] !== 0 || (unicode && data[end + 1] !== 0))) {
+            end += charSize;
+        }
+
+        const value = Charset.decode(data.subarray(offset, end), unicode ? 'utf-16le' : charset);
+        return {value: value, end: Math.min(end + charSize, data.length)};
+    }
+}
@@ -0,0 +1,407 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {MimeParser} from './MimeParser.js';
+
+/*
+ Parser for RFC 5322 header fields: unfolding, encoded words (RFC 2047) and structured fields
+ like address lists, dates, message ids and trace fields (Received)
+ */
+export class HeaderParser {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * splits a header block into fields, the names keep their case and the fields their order
+     * @param {String} raw
+     * @returns {Array} [{name, value, raw}] value is unfolded, raw is the folded value. Encoded words are not decoded.
+     */
+    static parse(raw) {
+        const headers = [];
+
+        // the header block ends with an empty line
+        const headerBlock = String(raw ?? '').split(/\r?\n\r?\n/)[0];
+
+        for (const line of headerBlock.split(/\r?\n(?![ \t])/)) {
+            const sepPos = line.indexOf(':'), name = line.substring(0, sepPos).trim();
+
+            // lines without field name, e.g. the mbox "From " line, are ignored
+            if (sepPos <= 0 || !name || /\s/.test(name)) {
+                continue;
+            }
+
+            const value = line.substring(sepPos + 1).trim();
+            headers.push({name: name, value: HeaderParser.unfold(value).trim(), raw: value});
+        }
+
+        return headers;
+    }
+
+    /**
+     * removes the line breaks of folded fields, the whitespace after the line break is kept (RFC 5322 2.2.3)
+     * @param {String} value
+     * @returns {String}
+     */
+    static unfold(value) {
+        return String(value ?? '').replace(/\r?\n(?=[ \t])/g, '');
+    }
+
+    /**
+     * decodes encoded words (RFC 2047) of unstructured fields, e.g. Subject
+     * @param {String} value
+     * @returns {String}
+     */
+    static decode(value) {
+        return MimeParser.decodeHeaderValue(HeaderParser.unfold(value));
+    }
+
+    /**
+     * parses an address list, including groups, quoted display names and comments
+     * @param {String} value
+     * @returns {Array} [{name, email, group}] the names are decoded
+     */
+    static parseAddressList(value) {
+        const str = HeaderParser.unfold(value), addresses = [];
+        let current = '', group = null, inQuote = false, inAngle = false, comment = 0;
+
+        const addMailbox = () => {
+            const mailbox = HeaderParser.#parseMailbox(current, group);
+            if (mailbox) {
+                addresses.push(mailbox);
+            }
+            current = '';
+        };
+
+        for (let i = 0; i < str.length; i++) {
+            const c = str[i];
+
+            if (inQuote) {
+                current += c;
+                if (c === '\\' && i + 1 < str.length) {
+                    current += str[++i];
+                } else if (c === '"') {
+                    inQuote = false;
+                }
+
+            } else if (comment > 0) {
+                current += c;
+                if (c === '\\' && i + 1 < str.length) {
+                    current += str[++i];
+                } else if (c === '(') {
+                    comment++;
+                } else if (c === ')') {
+                    comment--;
+                }
+
+            } else if (c === '"') {
+                inQuote = true;
+                current += c;
+
+            } else if (c === '(') {
+                comment++;
+                current += c;
+
+            } else if (c === '<' || c === '>') {
+                inAngle = c === '<';
+                current += c;
+
+            } else if (c === ',' && !inAngle) {
+                addMailbox();
+
+            // group start "name:"
+            } else if (c === ':' && !inAngle && group === null) {
+                group = MimeParser.decodeHeaderValue(HeaderParser.#unquote(current.trim()));
+                current = '';
+
+            // group end or (not RFC conform) address separator
+            } else if (c === ';' && !inAngle) {
+                addMailbox();
+                group = null;
+
+            } else {
+                current += c;
+            }
+        }
+        addMailbox();
+
+        return addresses;
+    }
+
+    /**
+     * parses a date-time (RFC 5322 3.3), including the obsolete syntax: two digit years, zone names and comments,
+     * and ISO 8601 date-times with time zone
+     * @param {String} value e.g. 'Mon, 1 Jan 2024 10:00:00 +0100 (CET)'
+     * @returns {Date|null} null for invalid dates
+     */
+    static parseDate(value) {
+        if (!value) {
+            return null;
+        }
+
+        const str = HeaderParser.#removeComments(HeaderParser.unfold(value)).replace(/\s+/g, ' ').replace(/ ?: ?/g, ':').trim(),
+                match = str.match(/^(?:[a-z]{3}[a-z]*\s*,?\s*)?(\d{1,2})[ -]([a-z]{3})[a-z]*[ -](\d{2,4}) (\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(?: ?([+-]\d{4}|[a-z]+))?/i);
+
+        if (match) {
+            const month = HeaderParser.CONST.MONTHS.indexOf(match[2].toLowerCase());
+            let year = parseInt(match[3]);
+
+            // two digit years: 00 to 49 are 2000 to 2049, three digit years are added to 1900
+            if (match[3].length === 2) {
+                year += year < 50 ? 2000 : 1900;
+            } else if (match[3].length === 3) {
+                year += 1900;
+            }
+
+            if (month !== -1) {
+                const date = new Date(Date.UTC(year, month, parseInt(match[1]), parseInt(match[4]), parseInt(match[5]), parseInt(match[6] ?? '0')));
+
+                // invalid calendar dates, e.g. 29 Feb 2025, are not rolled over to the next month
+                if (date.getUTCDate() !== parseInt(match[1]) || date.getUTCMonth() !== month) {
+                    return null;
+                }
+                return new Date(date.getTime() - HeaderParser.#getZoneOffset(match[7] ?? null) * 60000);
+            }
+        }
+
+        // ISO 8601 with time zone (not RFC conform), other formats are not guessed
+        const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i);
+        if (!iso) {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]), parseInt(iso[4]), parseInt(iso[5]), parseInt(iso[6] ?? '0')));
+        if (date.getUTCDate() !== parseInt(iso[3]) || date.getUTCMonth() !== parseInt(iso[2]) - 1 || parseInt(iso[4]) > 23 || parseInt(iso[5]) > 59) {
+            return null;
+        }
+        return new Date(date.getTime() - HeaderParser.#getZoneOffset(iso[7].replace(':', '')) * 60000);
+    }
+
+    /**
+     * parses a list of message ids, e.g. of References or In-Reply-To
+     * @param {String} value
+     * @returns {Array} message ids with angle brackets, e.g. ['<1234@example.com>']
+     */
+    static parseMessageIds(value) {
+        const str = HeaderParser.#removeComments(HeaderParser.unfold(value)),
+                ids = str.match(/<[^<>]+>/g);
+
+        if (ids) {
+            return ids.map((id) => id.replace(/\s+/g, ''));
+        }
+
+        // ids without angle brackets (not RFC conform)
+        return str.split(/[\s,]+/).filter((id) => id.indexOf('@') > 0).map((id) => '<' + id + '>');
+    }
+
+    /**
+     * parses a Content-Type field
+     * @param {String} value
+     * @returns {Object} {value, parameters} e.g. {value: 'text/plain', parameters: {charset: 'utf-8'}}
+     */
+    static parseContentType(value) {
+        return MimeParser.parseHeaderValue(HeaderParser.unfold(value));
+    }
+
+    /**
+     * parses a Received field (RFC 5321 4.4) into its clauses
+     * @param {String} value e.g. 'from a.example.com (a.example.com [192.0.2.1]) by b.example.com with ESMTPS id 123 for <c@example.com>; Mon, 1 Jan 2024 10:00:00 +0000'
+     * @returns {Object} {from, by, via, with, id, for, date, raw} the clauses include their comments, null if missing
+     */
+    static parseReceived(value) {
+        const received = {from: null, by: null, via: null, with: null, id: null, for: null, date: null, raw: value};
+        // the date follows the last semicolon
+        const tokens = HeaderParser.#tokenize(HeaderParser.unfold(value).trim()), dateIndex = tokens.findLastIndex((token) => token === ';');
+        if (dateIndex !== -1) {
+            received.date = HeaderParser.parseDate(tokens.slice(dateIndex + 1).join(' '));
+            tokens.splice(dateIndex);
+        }
+
+        let clause = null;
+        for (const token of tokens) {
+            const keyword = token.toLowerCase();
+            if (HeaderParser.CONST.RECEIVED_CLAUSES.includes(keyword)) {
+                clause = keyword;
+                received[clause] = '';
+            } else if (clause && token !== ';') {
+                received[clause] = (received[clause] + ' ' + token).trim();
+            }
+        }
+
+        for (const keyword of HeaderParser.CONST.RECEIVED_CLAUSES) {
+            received[keyword] = received[keyword] || null;
+        }
+
+        return received;
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+            // obsolete zone names (RFC 5322 4.3), offsets in minutes. Military zones and unknown names are treated as UTC.
+            ZONES: {
+                ut: 0,
+                utc: 0,
+                gmt: 0,
+                z: 0,
+                est: -300,
+                edt: -240,
+                cst: -360,
+                cdt: -300,
+                mst: -420,
+                mdt: -360,
+                pst: -480,
+                pdt: -420
+            },
+            RECEIVED_CLAUSES: ['from', 'by', 'via', 'with', 'id', 'for']
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * parses a single mailbox: "Name" <mail>, Name <mail>, mail (Name) or mail
+     * @param {String} str
+     * @param {String|null} group
+     * @returns {Object|null}
+     */
+    static #parseMailbox(str, group) {
+        let name = null, email = null;
+        str = str.trim();
+
+        if (!str) {
+            return null;
+        }
+
+        const angleStart = str.lastIndexOf('<'), angleEnd = str.lastIndexOf('>');
+        if (angleStart !== -1 && angleEnd > angleStart) {
+            email = str.substring(angleStart + 1, angleEnd).trim();
+            name = HeaderParser.#unquote(str.substring(0, angleStart).replace(/\([^()]*\)/g, '').trim());
+
+        } else {
+            const commentMatch = str.match(/\(([^()]*)\)/);
+            email = str.replace(/\([^()]*\)/g, '').trim();
+            name = commentMatch ? commentMatch[1].trim() : null;
+
+            // no address, only a name
+            if (email.indexOf('@') === -1) {
+                name = HeaderParser.#unquote(email);
+                email = null;
+            }
+        }
+
+        return {
+            name: name ? MimeParser.decodeHeaderValue(name) : null,
+            email: email || null,
+            group: group
+        };
+    }
+
+    /**
+     * splits a field into words, comments (including the parentheses), quoted strings, angle addresses and semicolons
+     * @param {String} str
+     * @returns {Array}
+     */
+    static #tokenize(str) {
+        const tokens = [];
+        let token = '', comment = 0, inQuote = false, inAngle = false;
+
+        const addToken = () => {
+            if (token) {
+                tokens.push(token);
+            }
+            token = '';
+        };
+
+        for (let i = 0; i < str.length; i++) {
+            const c = str[i];
+
+            if (c === '\\' && (comment > 0 || inQuote)) {
+                token += c + (str[i + 1] ?? '');
+                i++;
+            } else if (comment > 0) {
+                token += c;
+                comment += c === '(' ? 1 : (c === ')' ? -1 : 0);
+                if (comment === 0) {
+                    addToken();
+                }
+            } else if (inQuote) {
+                token += c;
+                inQuote = c !== '"';
+            } else if (inAngle) {
+                token += c;
+                inAngle = c !== '>';
+            } else if (c === '(') {
+                addToken();
+                token = c;
+                comment = 1;
+            } else if (c === '"' || c === '<') {
+                token += c;
+                inQuote = c === '"';
+                inAngle = c === '<';
+            } else if (c === ';') {
+                addToken();
+                tokens.push(c);
+            } else if (/\s/.test(c)) {
+                addToken();
+            } else {
+                token += c;
+            }
+        }
+        addToken();
+
+        return tokens;
+    }
+
+    /**
+     * removes comments outside of quoted strings
+     * @param {String} str
+     * @returns {String}
+     */
+    static #removeComments(str) {
+        return HeaderParser.#tokenize(str).filter((token) => token[0] !== '(').join(' ');
+    }
+
+    /**
+     * returns the offset of a zone in minutes
+     * @param {String|null} zone '+0100' or a zone name
+     * @returns {Number}
+     */
+    static #getZoneOffset(zone) {
+        if (!zone) {
+            return 0;
+        }
+        if (/^[+-]\d{4}$/.test(zone)) {
+            const minutes = parseInt(zone.substring(1, 3)) * 60 + parseInt(zone.substring(3, 5));
+            return zone[0] === '-' ? -minutes : minutes;
+        }
+        return HeaderParser.CONST.ZONES[zone.toLowerCase()] ?? 0;
+    }
+
+    /**
+     * removes the quotes of a quoted string
+     * @param {String} str
+     * @returns {String}
+     */
+    static #unquote(str) {
+        if (str.length >= 2 && str[0] === '"' && str[str.length - 1] === '"') {
+            return str.substring(1, str.length - 1).replace(/\\(.)/g, '$1');
+        }
+        return str;
+    }
+}
@@ -0,0 +1,152 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ Helpers to build iCalendar objects (RFC 5545)
+ */
+export class ICalendarBuilder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * builds a VCALENDAR object
+     * @param {Array} components components built with buildComponent()
+     * @param {String|null} method iTIP method (RFC 5546), e.g. 'REQUEST'
+     * @returns {String}
+     */
+    static buildCalendar(components, method=null) {
+        return ICalendarBuilder.buildComponent('VCALENDAR', [
+            ['PRODID', ICalendarBuilder.CONST.PRODID],
+            ['VERSION', '2.0'],
+            ['METHOD', method]
+        ], components);
+    }
+
+    /**
+     * builds a component (e.g. VEVENT). Properties without value are omitted.
+     * @param {String} name
+     * @param {Array} properties [[name including parameters, value]], the values must be escaped
+     * @param {Array} components nested components built with buildComponent()
+     * @returns {String}
+     */
+    static buildComponent(name, properties, components=[]) {
+        const crlf = ICalendarBuilder.CONST.CRLF;
+        let str = 'BEGIN:' + name + crlf;
+
+        for (const [propertyName, value] of properties) {
+            if (value !== null && value !== undefined && value !== '') {
+                str += ICalendarBuilder.foldLine(propertyName + ':' + value) + crlf;
+            }
+        }
+        for (const component of components) {
+            str += component;
+        }
+
+        return str + 'END:' + name + crlf;
+    }
+
+    /**
+     * escapes a TEXT value
+     * @param {String} text
+     * @returns {String}
+     */
+    static escapeText(text) {
+        return String(text ?? '')
+                .replace(/\\/g, '\\\\')
+                .replace(/;/g, '\\;')
+                .replace(/,/g, '\\,')
+                .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * formats a parameter value, values with special characters are quoted
+     * @param {String} value
+     * @returns {String}
+     */
+    static formatParameter(value) {
+        value = String(value ?? '').replace(/"/g, '\'').replace(/[\r\n]/g, ' ');
+        return /[:;,]/.test(value) ? '"' + value + '"' : value;
+    }
+
+    /**
+     * formats a date as UTC DATE-TIME (e.g. 20230314T081500Z)
+     * @param {Date} date
+     * @returns {String}
+     */
+    static formatDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    }
+
+    /**
+     * formats a local time as DATE-TIME without time zone (e.g. 20230314T091500), used with a TZID parameter
+     * @param {Date} date local time as UTC
+     * @returns {String}
+     */
+    static formatLocalDateTime(date) {
+        return ICalendarBuilder.formatDateTime(date).replace('Z', '');
+    }
+
+    /**
+     * formats a date as DATE (e.g. 20230314), the UTC date is used
+     * @param {Date} date
+     * @returns {String}
+     */
+    static formatDate(date) {
+        return date.toISOString().substring(0, 10).replace(/-/g, '');
+    }
+
+    /**
+     * formats minutes as DURATION (e.g. -PT15M)
+     * @param {Number} minutes
+     * @returns {String}
+     */
+    static formatDuration(minutes) {
+        return (minutes < 0 ? '-' : '') + 'PT' + Math.abs(Math.round(minutes)) + 'M';
+    }
+
+    /**
+     * folds a content line after 75 octets, utf-8 sequences are not split
+     * @param {String} line
+     * @returns {String}
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder(), lines = [];
+        let current = '', length = 0;
+
+        for (const char of line) {
+            const charLength = encoder.encode(char).length;
+            if (length + charLength > 75) {
+                lines.push(current);
+                current = ' ';
+                length = 1;
+            }
+            current += char;
+            length += charLength;
+        }
+        lines.push(current);
+
+        return lines.join(ICalendarBuilder.CONST.CRLF);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            CRLF: '\r\n',
+            PRODID: '-//Netas Ltd.//msg.reader//EN'
+        };
+    }
+}
@@ -0,0 +1,269 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Base64} from './Base64.js';
+
+/*
+ Helpers to build RFC 5322 / MIME messages (RFC 2045, RFC 2046, RFC 2047, RFC 2231)
+ */
+export class MimeBuilder {
+    static #boundaryCount = 0;
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * builds a MIME part from a header list and an already encoded body
+     * @param {Array} headers [[name, value]], the values are folded but not encoded
+     * @param {String} body
+     * @returns {String}
+     */
+    static buildPart(headers, body) {
+        let part = '';
+        for (const [name, value] of headers) {
+            if (value !== null && value !== undefined && value !== '') {
+                part += MimeBuilder.foldHeader(name, value) + MimeBuilder.CONST.CRLF;
+            }
+        }
+        return part + MimeBuilder.CONST.CRLF + body;
+    }
+
+    /**
+     * builds a multipart body
+     * @param {String} subType e.g. 'mixed', 'alternative', 'related'
+     * @param {Array} parts MIME parts built with buildPart()
+     * @param {Array} headers additional headers of the multipart
+     * @returns {String}
+     */
+    static buildMultipart(subType, parts, headers=[]) {
+        const boundary = MimeBuilder.#createBoundary(), crlf = MimeBuilder.CONST.CRLF;
+        let body = '';
+
+        for (const part of parts) {
+            body += '--' + boundary + crlf + part + crlf;
+        }
+        body += '--' + boundary + '--' + crlf;
+
+        return MimeBuilder.buildPart([['Content-Type', 'multipart/' + subType + '; boundary="' + boundary + '"'], ...headers], body);
+    }
+
+    /**
+     * builds a text part, encoded as utf-8 quoted-printable
+     * @param {String} subType e.g. 'plain', 'html'
+     * @param {String} text
+     * @returns {String}
+     */
+    static buildTextPart(subType, text) {
+        return MimeBuilder.buildPart([
+            ['Content-Type', 'text/' + subType + '; charset=utf-8'],
+            ['Content-Transfer-Encoding', 'quoted-printable']
+        ], MimeBuilder.encodeQuotedPrintable(text ?? ''));
+    }
+
+    /**
+     * encodes a header value with RFC 2047 encoded words, if it contains non-ascii characters
+     * @param {String} value
+     * @returns {String}
+     */
+    static encodeHeaderValue(value) {
+        value = String(value ?? '');
+        if (!/[^\x20-\x7e]/.test(value)) {
+            return value;
+        }
+
+        // encoded words are limited to 75 characters, utf-8 sequences must not be split
+        const encoder = new TextEncoder(), words = [];
+        let chunk = '';
+        for (const char of value) {
+            if (encoder.encode(chunk + char).length > 45) {
+                words.push(chunk);
+                chunk = '';
+            }
+            chunk += char;
+        }
+        words.push(chunk);
+
+        return words.map((word) => '=?utf-8?B?' + Base64.encode(encoder.encode(word)) + '?=').join(' ');
+    }
+
+    /**
+     * formats an address as RFC 5322 mailbox
+     * @param {String|null} name
+     * @param {String|null} email
+     * @returns {String} an empty string if there is no email address
+     */
+    static formatAddress(name, email) {
+        name = (name ?? '').trim();
+        email = (email ?? '').trim();
+
+        if (!email || !name || name === email) {
+            return email;
+        }
+
+        return MimeBuilder.#formatDisplayName(name) + ' <' + email + '>';
+    }
+
+    /**
+     * formats an empty RFC 5322 group, e.g. for a sender without address: undisclosed-sender:;
+     * @param {String} name
+     * @returns {String}
+     */
+    static formatGroup(name) {
+        return MimeBuilder.#formatDisplayName(name.trim()) + ':;';
+    }
+
+    /**
+     * formats a content-type or content-disposition parameter, non-ascii values are encoded according to RFC 2231
+     * @param {String} name
+     * @param {String} value
+     * @returns {String}
+     */
+    static formatParameter(name, value) {
+        value = String(value ?? '');
+        if (/[^\x20-\x7e]/.test(value)) {
+            const encoded = Array.from(new TextEncoder().encode(value), (b) => {
+                const char = String.fromCharCode(b);
+                return /[A-Za-z0-9!#$&+\-.^_`|~]/.test(char) ? char : '%' + b.toString(16).toUpperCase().padStart(2, '0');
+            }).join('');
+            return name + "*=utf-8''" + encoded;
+        }
+        return name + '="' + value.replace(/(["\\])/g, '\\$1') + '"';
+    }
+
+    /**
+     * formats a date according to RFC 5322 (e.g. 'Tue, 14 Mar 2023 08:15:00 +0000')
+     * @param {Date} date
+     * @returns {String}
+     */
+    static formatDate(date) {
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+                months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+                pad = (n) => String(n).padStart(2, '0');
+
+        return days[date.getUTCDay()] + ', ' + date.getUTCDate() + ' ' + months[date.getUTCMonth()] + ' ' + date.getUTCFullYear() + ' '
+                + pad(date.getUTCHours()) + ':' + pad(date.getUTCMinutes()) + ':' + pad(date.getUTCSeconds()) + ' +0000';
+    }
+
+    /**
+     * folds a header line at whitespace, lines are kept below 78 characters where possible
+     * @param {String} name
+     * @param {String} value
+     * @returns {String}
+     */
+    static foldHeader(name, value) {
+        const words = String(value).replace(/\r?\n[ \t]*/g, ' ').split(' ');
+        let lines = [], line = name + ':';
+
+        for (const word of words) {
+            if (line.length + word.length + 1 > 76 && line.trim().length > name.length + 1) {
+                lines.push(line);
+                line = '';
+            }
+            line += ' ' + word;
+        }
+        lines.push(line);
+
+        return lines.join(MimeBuilder.CONST.CRLF);
+    }
+
+    /**
+     * encodes a text as utf-8 quoted-printable (RFC 2045), line breaks are normalized to CRLF
+     * @param {String} text
+     * @returns {String}
+     */
+    static encodeQuotedPrintable(text) {
+        const encoder = new TextEncoder(), lines = [];
+
+        for (const textLine of text.split(/\r?\n/)) {
+            const bytes = encoder.encode(textLine);
+            let line = '';
+
+            for (let i = 0; i < bytes.length; i++) {
+                const b = bytes[i], isLast = i === bytes.length - 1;
+                let char;
+
+                // trailing whitespace must be encoded
+                if ((b >= 33 && b <= 126 && b !== 61) || ((b === 32 || b === 9) && !isLast)) {
+                    char = String.fromCharCode(b);
+                } else {
+                    char = '=' + b.toString(16).toUpperCase().padStart(2, '0');
+                }
+
+                // soft line break
+                if (line.length + char.length > 75) {
+                    lines.push(line + '=');
+                    line = '';
+                }
+                line += char;
+            }
+            lines.push(line);
+        }
+
+        return lines.join(MimeBuilder.CONST.CRLF);
+    }
+
+    /**
+     * removes header fields from a raw header block, line breaks are normalized to CRLF
+     * @param {String} headerRaw
+     * @param {Array} names lower case header names to remove
+     * @returns {Array} header fields, including the name and folded lines
+     */
+    static filterHeaders(headerRaw, names) {
+        return headerRaw.replace(/\r?\n/g, '\n').split(/\n(?=[^\s])/g)
+                .map((header) => header.replace(/\n+$/, ''))
+                .filter((header) => {
+                    const sepPos = header.indexOf(':');
+                    return sepPos > 0 && !names.includes(header.substring(0, sepPos).trim().toLowerCase());
+                })
+                .map((header) => header.replace(/\n/g, MimeBuilder.CONST.CRLF));
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            CRLF: '\r\n',
+            // header fields describing the content, rebuilt when the body is encoded anew
+            CONTENT_HEADERS: ['mime-version', 'content-type', 'content-transfer-encoding', 'content-disposition', 'content-id', 'content-description']
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * display name of an address, encoded if it contains non-ascii characters, quoted if it contains specials
+     * @param {String} name
+     * @returns {String}
+     */
+    static #formatDisplayName(name) {
+        if (/[^\x20-\x7e]/.test(name)) {
+            return MimeBuilder.encodeHeaderValue(name);
+        }
+        if (/[()<>\[\]:;@\\,."]/.test(name)) {
+            return '"' + name.replace(/(["\\])/g, '\\$1') + '"';
+        }
+        return name;
+    }
+
+    /**
+     * unique boundary, the characters '=_' cannot occur in quoted-printable or base64 encoded content
+     * @returns {String}
+     */
+    static #createBoundary() {
+        MimeBuilder.#boundaryCount++;
+        return '----=_Part_' + MimeBuilder.#boundaryCount + '_' + Math.random().toString(36).substring(2, 12);
+    }
+}
@@ -0,0 +1,547 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Base64} from './Base64.js';
+import {Charset} from './Charset.js';
+
+/*
+ Parser for RFC 5322 / MIME messages (RFC 2045, RFC 2046, RFC 2047, RFC 2231).
+ Encapsulated messages (message/rfc822) are parsed as nested entities.
+ */
+export class MimeParser {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * parses a MIME entity with its headers, multipart bodies are split into parts
+     * @param {Uint8Array|String} data
+     * @returns {Object} {headers: [{name, value}], contentType: {value, parameters}, contentDisposition, transferEncoding, raw, body, parts, message}
+     *          raw and body are the undecoded bytes of the entity and of the body, message is the parsed entity of message/rfc822 parts
+     */
+    static parse(data) {
+        if (typeof data === 'string') {
+            data = new TextEncoder().encode(data);
+        }
+        return MimeParser.#parseEntity(data, MimeParser.#toBinaryString(data), 0, data.length, 0);
+    }
+
+    /**
+     * returns the first value of a header field
+     * @param {Object} part
+     * @param {String} name
+     * @returns {String|null}
+     */
+    static getHeader(part, name) {
+        name = name.toLowerCase();
+        const header = part.headers.find((h) => h.name.toLowerCase() === name);
+        return header ? header.value : null;
+    }
+
+    /**
+     * returns all values of a header field, e.g. of Received
+     * @param {Object} part
+     * @param {String} name
+     * @returns {Array}
+     */
+    static getHeaders(part, name) {
+        name = name.toLowerCase();
+        return part.headers.filter((h) => h.name.toLowerCase() === name).map((h) => h.value);
+    }
+
+    /**
+     * parses a structured header value with parameters, e.g. 'text/plain; charset="utf-8"'.
+     * RFC 2231 extended values and continuations (e.g. filename*0*=utf-8''%C3%A4; filename*1=.txt) are joined and decoded.
+     * @param {String|null} value
+     * @returns {Object} {value, parameters} the value is lower case, the parameter names too
+     */
+    static parseHeaderValue(value) {
+        const result = {value: '', parameters: {}};
+        if (!value) {
+            return result;
+        }
+
+        const tokens = MimeParser.#splitParameters(value), segments = {};
+        result.value = tokens.shift().trim().toLowerCase();
+
+        for (const token of tokens) {
+            const sepPos = token.indexOf('=');
+            if (sepPos === -1) {
+                continue;
+            }
+
+            let name = token.substring(0, sepPos).trim().toLowerCase(), paramValue = token.substring(sepPos + 1).trim();
+            if (paramValue.startsWith('"')) {
+                paramValue = paramValue.substring(1, paramValue.endsWith('"') ? paramValue.length - 1 : paramValue.length).replace(/\\(.)/g, '$1');
+            }
+
+            // RFC 2231: name*=charset'language'value, name*0=value, name*1*=value
+            const match = name.match(/^(.+?)(?:\*(\d+))?(\*)?$/);
+            if (match[2] === undefined && !match[3]) {
+                result.parameters[name] = paramValue;
+            } else {
+                segments[match[1]] = segments[match[1]] ?? [];
+                segments[match[1]].push({index: parseInt(match[2] ?? '0'), value: paramValue, encoded: !!match[3]});
+            }
+        }
+
+        // extended values take precedence over plain parameters
+        for (const name of Object.keys(segments)) {
+            result.parameters[name] = MimeParser.#joinSegments(segments[name]);
+        }
+
+        return result;
+    }
+
+    /**
+     * decodes RFC 2047 encoded words, e.g. '=?utf-8?Q?=C3=A4?='
+     * @param {String} value
+     * @returns {String}
+     */
+    static decodeHeaderValue(value) {
+        return String(value ?? '')
+                // whitespace between encoded words is removed
+                .replace(/(\?=)\s+(?==\?)/g, '$1')
+                .replace(/=\?([^?*]+)(?:\*[^?]*)?\?(B|Q)\?([^?]*)\?=/ig, (m, charset, encoding, text) => {
+                    const bytes = encoding.toUpperCase() === 'B'
+                            ? Base64.decode(text)
+                            : MimeParser.decodeQuotedPrintable(MimeParser.#fromBinaryString(text.replace(/_/g, ' ')));
+                    return Charset.decode(bytes, charset);
+                });
+    }
+
+    /**
+     * decodes the body of a part according to its content-transfer-encoding
+     * @param {Object} part
+     * @returns {Uint8Array}
+     */
+    static decodeBody(part) {
+        switch (part.transferEncoding) {
+            case 'base64':
+                return Base64.decode(MimeParser.#toBinaryString(part.body));
+            case 'quoted-printable':
+                return MimeParser.decodeQuotedPrintable(part.body);
+            case 'x-uuencode':
+            case 'uuencode':
+            case 'x-uue':
+                return MimeParser.#decodeUuencode(MimeParser.#toBinaryString(part.body));
+            default:
+                return part.body;
+        }
+    }
+
+    /**
+     * decodes the body of a text part with its charset.
+     * Without charset, the body is decoded as utf-8 if valid, as windows-1252 otherwise.
+     * @param {Object} part
+     * @returns {String}
+     */
+    static decodeText(part) {
+        const bytes = MimeParser.decodeBody(part), charset = part.contentType.parameters.charset;
+        return charset ? Charset.decode(bytes, charset.trim()) : MimeParser.#decodeUtf8(MimeParser.#toBinaryString(bytes));
+    }
+
+    /**
+     * decodes quoted-printable bytes (RFC 2045)
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array}
+     */
+    static decodeQuotedPrintable(bytes) {
+        const result = new Uint8Array(bytes.length), hex = (b) => (b >= 48 && b <= 57) || (b >= 65 && b <= 70) || (b >= 97 && b <= 102);
+        let length = 0;
+
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] === 61) {
+                // soft line break, trailing whitespace is allowed
+                let j = i + 1;
+                while (bytes[j] === 32 || bytes[j] === 9) {
+                    j++;
+                }
+                if (bytes[j] === 13 && bytes[j + 1] === 10) {
+                    i = j + 1;
+                    continue;
+                }
+                if (bytes[j] === 10 || j === bytes.length) {
+                    i = j;
+                    continue;
+                }
+                if (hex(bytes[i + 1]) && hex(bytes[i + 2])) {
+                    result[length++] = parseInt(String.fromCharCode(bytes[i + 1], bytes[i + 2]), 16);
+                    i += 2;
+                    continue;
+                }
+            }
+            result[length++] = bytes[i];
+        }
+
+        return result.slice(0, length);
+    }
+
+    /**
+     * returns the bodies and attachments of a message:
+     * the first text/plain and text/html parts which are no attachments are the bodies, all other leaf parts are attachments.
+     * Encapsulated messages are attachments, the parsed message is returned as attribute message.
+     * @param {Object} part root part
+     * @returns {Object} {text, html, attachments: [{filename, contentType, content, filesize, pidContentId, message}]}
+     */
+    static getContent(part) {
+        const content = {text: null, html: null, attachments: []};
+        MimeParser.#collectContent(part, content);
+        return content;
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            MAX_DEPTH: 32,
+            MESSAGE_TYPES: ['message/rfc822', 'message/global']
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * @param {Uint8Array} data
+     * @param {String} str the data as binary string, each character is one byte
+     * @param {Number} start
+     * @param {Number} end
+     * @param {Number} depth
+     * @returns {Object}
+     */
+    static #parseEntity(data, str, start, end, depth) {
+        if (depth > MimeParser.CONST.MAX_DEPTH) {
+            throw new Error('mime structure too deep');
+        }
+
+        // the header ends with an empty line
+        let headerEnd, bodyStart;
+        if (str.startsWith('\r\n', start) || str.startsWith('\n', start)) {
+            headerEnd = start;
+            bodyStart = start + (str[start] === '\r' ? 2 : 1);
+        } else {
+            const match = /\r?\n\r?\n/g;
+            match.lastIndex = start;
+            const result = match.exec(str);
+            if (result && result.index < end) {
+                headerEnd = result.index;
+                bodyStart = result.index + result[0].length;
+            } else {
+                headerEnd = end;
+                bodyStart = end;
+            }
+        }
+
+        const headers = MimeParser.#parseHeaders(str.substring(start, headerEnd)),
+                part = {
+                    headers: headers,
+                    contentType: null,
+                    contentDisposition: null,
+                    transferEncoding: null,
+                    raw: data.subarray(start, end),
+                    body: data.subarray(bodyStart, end),
+                    parts: [],
+                    message: null
+                };
+
+        part.contentType = MimeParser.parseHeaderValue(MimeParser.getHeader(part, 'content-type') ?? 'text/plain');
+        if (!part.contentType.value || part.contentType.value.indexOf('/') === -1) {
+            part.contentType.value = 'text/plain';
+        }
+        part.contentDisposition = MimeParser.getHeader(part, 'content-disposition') ? MimeParser.parseHeaderValue(MimeParser.getHeader(part, 'content-disposition')) : null;
+        part.transferEncoding = (MimeParser.getHeader(part, 'content-transfer-encoding') ?? '7bit').trim().toLowerCase();
+
+        if (part.contentType.value.startsWith('multipart/') && part.contentType.parameters.boundary) {
+            for (const [partStart, partEnd] of MimeParser.#splitMultipart(str, bodyStart, end, part.contentType.parameters.boundary)) {
+                part.parts.push(MimeParser.#parseEntity(data, str, partStart, partEnd, depth + 1));
+            }
+
+        } else if (MimeParser.CONST.MESSAGE_TYPES.includes(part.contentType.value)) {
+            // RFC 2046 doesn't allow encoded messages, but some clients encode them anyway
+            if (part.transferEncoding === 'base64' || part.transferEncoding === 'quoted-printable') {
+                const message = MimeParser.decodeBody(part);
+                part.message = MimeParser.#parseEntity(message, MimeParser.#toBinaryString(message), 0, message.length, depth + 1);
+            } else {
+                part.message = MimeParser.#parseEntity(data, str, bodyStart, end, depth + 1);
+            }
+        }
+
+        return part;
+    }
+
+    /**
+     * unfolds and splits a header block
+     * @param {String} headerRaw binary string
+     * @returns {Array} [{name, value}]
+     */
+    static #parseHeaders(headerRaw) {
+        const headers = [];
+
+        for (const line of headerRaw.split(/\r?\n(?![ \t])/)) {
+            const sepPos = line.indexOf(':');
+            if (sepPos > 0) {
+                headers.push({
+                    name: line.substring(0, sepPos).trim(),
+                    // 8-bit header values are interpreted as utf-8
+                    value: MimeParser.#decodeUtf8(line.substring(sepPos + 1).replace(/\r?\n[ \t]/g, ' ').trim())
+                });
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * returns the start and end of the body parts of a multipart body.
+     * The line break before a delimiter belongs to the delimiter.
+     * @param {String} str
+     * @param {Number} start
+     * @param {Number} end
+     * @param {String} boundary
+     * @returns {Array} [[start, end]]
+     */
+    static #splitMultipart(str, start, end, boundary) {
+        const delimiter = '--' + boundary, ranges = [];
+        let partStart = null, pos = start;
+
+        while (pos < end) {
+            const index = str.indexOf(delimiter, pos);
+            if (index === -1 || index >= end) {
+                break;
+            }
+            pos = index + delimiter.length;
+
+            // delimiters must be at the beginning of a line
+            if (index !== start && str[index - 1] !== '\n') {
+                continue;
+            }
+
+            // and are followed by '--' or by optional white space and the line break (RFC 2046 5.1.1),
+            // e.g. the boundary 'outer' does not match --outer-alt
+            let lwspEnd = pos;
+            while (lwspEnd < end && (str[lwspEnd] === ' ' || str[lwspEnd] === '\t')) {
+                lwspEnd++;
+            }
+            if (!str.startsWith('--', pos) && lwspEnd < end && str[lwspEnd] !== '\r' && str[lwspEnd] !== '\n') {
+                continue;
+            }
+
+            if (partStart !== null) {
+                let partEnd = index - 1;
+                if (partEnd > partStart && str[partEnd - 1] === '\r') {
+                    partEnd--;
+                }
+                ranges.push([partStart, Math.max(partStart, partEnd)]);
+            }
+
+            if (str.startsWith('--', pos)) {
+                return ranges;
+            }
+
+            const lineEnd = str.indexOf('\n', pos);
+            if (lineEnd === -1 || lineEnd >= end) {
+                return ranges;
+            }
+            partStart = lineEnd + 1;
+        }
+
+        // missing close delimiter
+        if (partStart !== null && partStart < end) {
+            ranges.push([partStart, end]);
+        }
+        return ranges;
+    }
+
+    /**
+     * splits a header value at semicolons outside of quoted strings
+     * @param {String} value
+     * @returns {Array}
+     */
+    static #splitParameters(value) {
+        const tokens = [];
+        let token = '', quoted = false;
+
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '\\' && quoted) {
+                token += char + (value[i + 1] ?? '');
+                i++;
+                continue;
+            }
+            if (char === '"') {
+                quoted = !quoted;
+            }
+            if (char === ';' && !quoted) {
+                tokens.push(token);
+                token = '';
+            } else {
+                token += char;
+            }
+        }
+        tokens.push(token);
+
+        return tokens;
+    }
+
+    /**
+     * joins the segments of a RFC 2231 parameter. Encoded segments are percent-encoded,
+     * the first one starts with charset'language'.
+     * @param {Array} segments [{index, value, encoded}]
+     * @returns {String}
+     */
+    static #joinSegments(segments) {
+        segments.sort((a, b) => a.index - b.index);
+
+        let charset = null, str = '';
+        segments.forEach((segment, i) => {
+            let value = segment.value;
+            if (segment.encoded) {
+                if (i === 0) {
+                    const match = value.match(/^([^']*)'[^']*'(.*)$/);
+                    if (match) {
+                        charset = match[1] || null;
+                        value = match[2];
+                    }
+                }
+                value = value.replace(/%([0-9a-f]{2})/ig, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+            }
+            str += value;
+        });
+
+        return charset ? Charset.decode(MimeParser.#fromBinaryString(str), charset) : MimeParser.#decodeUtf8(str);
+    }
+
+    /**
+     * decodes uuencoded data, the lines between 'begin' and 'end'
+     * @param {String} str binary string
+     * @returns {Uint8Array}
+     */
+    static #decodeUuencode(str) {
+        const bytes = [];
+        let inBody = false;
+
+        for (const line of str.split(/\r?\n/)) {
+            if (!inBody) {
+                inBody = /^begin\s/.test(line);
+                continue;
+            }
+            if (line.trim() === 'end') {
+                break;
+            }
+
+            // the first character is the number of bytes of the line, each 4 characters encode 3 bytes
+            const length = (line.charCodeAt(0) - 32) & 0x3f, chars = Array.from(line.substring(1), (c) => (c.charCodeAt(0) - 32) & 0x3f);
+            for (let i = 0, count = 0; count < length; i += 4) {
+                const group = [chars[i] ?? 0, chars[i + 1] ?? 0, chars[i + 2] ?? 0, chars[i + 3] ?? 0];
+                for (const b of [(group[0] << 2) | (group[1] >> 4), ((group[1] << 4) | (group[2] >> 2)) & 0xff, ((group[2] << 6) | group[3]) & 0xff]) {
+                    if (count++ < length) {
+                        bytes.push(b);
+                    }
+                }
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * walks the part tree and collects the bodies and attachments
+     * @param {Object} part
+     * @param {Object} content
+     */
+    static #collectContent(part, content) {
+        const type = part.contentType.value,
+                isAttachment = part.contentDisposition && part.contentDisposition.value === 'attachment';
+
+        if (part.parts.length > 0) {
+            for (const child of part.parts) {
+                MimeParser.#collectContent(child, content);
+            }
+            return;
+        }
+
+        if (!isAttachment && type === 'text/plain' && content.text === null) {
+            content.text = MimeParser.decodeText(part);
+            return;
+        }
+        if (!isAttachment && type === 'text/html' && content.html === null) {
+            content.html = MimeParser.decodeText(part);
+            return;
+        }
+
+        const bytes = MimeParser.decodeBody(part),
+                contentId = MimeParser.getHeader(part, 'content-id');
+        let filename = (part.contentDisposition ? part.contentDisposition.parameters.filename : null) ?? part.contentType.parameters.name ?? null;
+
+        if (!filename && part.message) {
+            filename = (MimeParser.getHeader(part.message, 'subject') ?? 'message') + '.eml';
+        }
+
+        const attachment = {
+            filename: filename ? MimeParser.decodeHeaderValue(filename) : null,
+            contentType: type,
+            content: bytes,
+            filesize: bytes.length,
+            pidContentId: contentId ? contentId.replace(/^\s*<|>\s*$/g, '') : undefined
+        };
+        if (part.message) {
+            attachment.message = part.message;
+        }
+
+        content.attachments.push(attachment);
+    }
+
+    /**
+     * converts bytes to a string with one character per byte
+     * @param {Uint8Array} bytes
+     * @returns {String}
+     */
+    static #toBinaryString(bytes) {
+        let str = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return str;
+    }
+
+    /**
+     * @param {String} str binary string
+     * @returns {Uint8Array}
+     */
+    static #fromBinaryString(str) {
+        const bytes = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+
+    /**
+     * decodes a binary string as utf-8, if it contains valid utf-8 sequences
+     * @param {String} str
+     * @returns {String}
+     */
+    static #decodeUtf8(str) {
+        if (!/[\x80-\xff]/.test(str)) {
+            return str;
+        }
+        try {
+            return new TextDecoder('utf-8', {fatal: true}).decode(MimeParser.#fromBinaryString(str));
+        } catch (e) {
+            return Charset.decode(MimeParser.#fromBinaryString(str), 'windows-1252');
+        }
+    }
+}
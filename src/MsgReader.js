@@ -14,6 +14,20 @@
  * limitations under the License.
  */
 import {DataStream} from './DataStream.js';
+import {Base64} from './Base64.js';
+import {Charset} from './Charset.js';
+import {RtfDecoder} from './RtfDecoder.js';
+import {MimeBuilder} from './MimeBuilder.js';
+import {ICalendarBuilder} from './ICalendarBuilder.js';
+import {RecurrenceDecoder} from './RecurrenceDecoder.js';
+import {TimeZoneDecoder} from './TimeZoneDecoder.js';
+import {VCardBuilder} from './VCardBuilder.js';
+import {EntryIdDecoder} from './EntryIdDecoder.js';
+import {MimeParser} from './MimeParser.js';
+import {CmsDecoder} from './CmsDecoder.js';
+import {TnefDecoder} from './TnefDecoder.js';
+import {HeaderParser} from './HeaderParser.js';
+import {ReceivedChainAnalyzer} from './ReceivedChainAnalyzer.js';
 
 /*
  MSG Reader
@@ -22,8 +36,16 @@ export class MsgReader {
     #ds;
     #fileData;
     #headers;
+    #smime;
+
+    // constructor argument of embedded messages, which are initialized by #createInnerMsg()
+    static #INNER_MSG = Symbol('innerMsg');
 
     constructor(arrayBuffer) {
+        if (arrayBuffer === MsgReader.#INNER_MSG) {
+            return;
+        }
+
         this.#ds = new DataStream(arrayBuffer, 0, DataStream.LITTLE_ENDIAN);
 
         if (!MsgReader.#isMSGFile(this.#ds)) {
@@ -31,10 +53,7 @@ export class MsgReader {
         }
 
         this.#fileData = MsgReader.#parseMsgData(this.#ds);
-
-        if (this.#fileData.fieldsData && this.#fileData.fieldsData.TransportMessageHeaders) {
-            this.#headers = MsgReader.#splitHeaders(this.#fileData.fieldsData.TransportMessageHeaders);
-        }
+        this.#initialize();
     }
 
     // ----------------------------
@@ -53,12 +72,25 @@ export class MsgReader {
     }
 
     /**
-     Reads an attachment content by key/ID
+     Reads an attachment content by key/ID.
+     Attached outlook items are returned as MsgReader in the innerMsg property.
      @param {Object|Number} attach ID or file
      @return {Object} The attachment for specific attachment key
      */
     getAttachment(attach) {
         let attachData = typeof attach === 'number' ? this.#fileData.fieldsData.attachments[attach] : attach;
+
+        // attached outlook item
+        if (attachData.innerMsgContentFields) {
+            let innerMsg = MsgReader.#createInnerMsg(this.#ds, this.#fileData, attachData.innerMsgContentFields);
+            return {fileName: MsgReader.#getInnerMsgFileName(attachData, innerMsg), content: null, innerMsg: innerMsg};
+        }
+
+        // attachment of a TNEF stream, the content is not stored in the MSG file
+        if (attachData.tnefContent) {
+            return {fileName: attachData.AttachLongFileName, content: attachData.tnefContent};
+        }
+
         let fieldProperty = this.#fileData.propertyData[attachData.dataId];
         let fieldTypeMapped = MsgReader.CONST.MSG.FIELD.TYPE_MAPPING[MsgReader.#getFieldType(fieldProperty)];
         let fieldData = MsgReader.#getFieldValue(this.#ds, this.#fileData, fieldProperty, fieldTypeMapped);
@@ -69,10 +101,27 @@ export class MsgReader {
     getAttachments() {
         let attachments=[];
 
+        // the attachments of S/MIME messages are part of the signed content
+        const smime = this.#getSMimeContent();
+        if (smime) {
+            return smime.content.attachments;
+        }
+
         if (this.#fileData.fieldsData && this.#fileData.fieldsData.attachments && this.#fileData.fieldsData.attachments.length > 0) {
             for (const atm of this.#fileData.fieldsData.attachments) {
                 let attachment = this.getAttachment(atm);
 
+                if (attachment.innerMsg) {
+                    attachments.push({
+                        filename: attachment.fileName,
+                        contentType: atm.AttachMimeTag ?? 'application/vnd.ms-outlook',
+                        content: null,
+                        filesize: null,
+                        pidContentId: atm.AttachmentContentId,
+                        innerMsg: attachment.innerMsg
+                    });
+
+                } else {
                     attachments.push({
                         filename: attachment.fileName,
                         contentType: atm.AttachMimeTag,
@@ -80,6 +129,7 @@ export class MsgReader {
                         filesize: atm.contentLength,
                         pidContentId: atm.AttachmentContentId
                     });
+                }
 
             }
         }
@@ -88,9 +138,9 @@ export class MsgReader {
     }
 
     getDate() {
-        let date = this.getHeader('date');
+        const date = this.getHeaderDate();
         if (date) {
-            return new Date(date);
+            return date;
         }
 
         if (this.#fileData.fieldsData && this.#fileData.fieldsData._properties) {
@@ -124,7 +174,21 @@ export class MsgReader {
         }
     }
 
+    /**
+     * returns 'received', 'sent' or 'draft' for unsent messages. The message flags are used if available, the Received header otherwise.
+     * Use getItemKind() to tell reports, calendar items etc. apart.
+     * @returns {String}
+     */
     getType() {
+        const messageFlags = MsgReader.#getPropertyValue(this.#fileData.fieldsData, 'MessageFlags'),
+                flags = MsgReader.CONST.MSG.MESSAGE_FLAGS;
+
+        if (typeof messageFlags === 'number') {
+            if (messageFlags & flags.UNSENT) {
+                return 'draft';
+            }
+            return messageFlags & flags.FROMME ? 'sent' : 'received';
+        }
         if (this.getHeader('received')) {
             return 'received';
         } else {
@@ -132,6 +196,37 @@ export class MsgReader {
         }
     }
 
+    /**
+     * returns the kind of the item, by message class and message flags (PidTagMessageFlags):
+     * draft, sent, received, readReceipt, nonReadReceipt, deliveryReport, nonDeliveryReport, delayedDeliveryReport,
+     * meetingRequest, meetingResponse, meetingCancellation, appointment, contact, distributionList, task, taskRequest,
+     * stickyNote, journal, signed or encrypted
+     * @returns {String}
+     */
+    getItemKind() {
+        const messageClass = (this.getMessageClass() ?? '').toLowerCase();
+
+        // reports are identified by the suffix, e.g. REPORT.IPM.Note.NDR
+        if (messageClass.indexOf('report.') === 0) {
+            const kind = MsgReader.CONST.MSG.ITEM_KIND.REPORT[messageClass.substring(messageClass.lastIndexOf('.') + 1)];
+            if (kind) {
+                return kind;
+            }
+        }
+
+        const kind = MsgReader.#getByMessageClass(MsgReader.CONST.MSG.ITEM_KIND.MESSAGE_CLASS, messageClass), smime = this.#getSMimeContent();
+        if (kind === 'encrypted' && smime && !smime.encrypted) {
+            // IPM.Note.SMIME is used for opaque signed messages too
+            return 'signed';
+        }
+        if (kind) {
+            return kind;
+        }
+
+        // draft, sent or received by the message flags
+        return this.getType();
+    }
+
     getFrom() {
         const hSub = this.getHeader('from', true, true);
         if (hSub) {
@@ -194,41 +289,158 @@ export class MsgReader {
     }
 
     /**
-     * returns a header. If a header occurs more than once, a array is returned.
-     * @param {String} key
-     * @param {Boolean} decode
-     * @param {Boolean} removeLineBreaks
-     * @returns {String|Array|null}
+     * returns the sender as address object
+     * @returns {Object|null} {name, email, addressType, type, smtpAddress, entryId, group}
      */
-    getHeader(key, decode=false, removeLineBreaks=false) {
-        let val = null;
+    getSender() {
+        const fields = this.#fileData.fieldsData ?? {}, headerAddress = this.getHeaderAddresses('from')[0] ?? null;
 
-        if (this.#headers && this.#headers[key.toLowerCase()]) {
-            val = this.#headers[key.toLowerCase()];
+        const smtpAddress = MsgReader.#getEmailIfValid(fields.SenderSmtpAddress)
+                ?? ((fields.SenderAddrType ?? 'SMTP').toUpperCase() === 'SMTP' ? MsgReader.#getEmailIfValid(fields.SenderEmailAddress) : null)
+                ?? MsgReader.#getEmailIfValid(fields.SentRepresentingSmtpAddress)
+                ?? MsgReader.#getEmailIfValid(fields.LastModifierSMTPAddress);
+
+        if (!headerAddress && !fields.SenderName && !smtpAddress && !fields.SenderEmailAddress) {
+            return null;
         }
 
-        if (val && decode) {
-            if (typeof val === 'string') {
-                val = this.#decodeRfc1342(val);
-            } else {
-                val = val.map(this.#decodeRfc1342);
-            }
+        const sender = headerAddress ?? MsgReader.#createAddress('from', fields.SenderName ?? fields.SentRepresentingName, smtpAddress);
+
+        sender.addressType = fields.SenderAddrType ?? sender.addressType;
+        sender.smtpAddress = sender.smtpAddress ?? smtpAddress;
+        sender.entryId = fields.SenderEntryId ?? null;
+        if (!sender.name && fields.SenderName) {
+            sender.name = fields.SenderName;
         }
 
-        if (val && removeLineBreaks) {
-            if (typeof val === 'string') {
-                val = val.replace(/\r?\n\s/g, '');
-            } else {
-                val = val.map((v) => { return v.replace(/\r?\n\s/g, ''); });
+        return sender;
+    }
+
+    /**
+     * returns the recipients as address objects.
+     * The recipient storages are used if available, the transport headers otherwise.
+     * @param {String|null} type 'to', 'cc', 'bcc' or null for all recipients
+     * @returns {Array} [{name, email, addressType, type, smtpAddress, entryId, group}]
+     */
+    getRecipientList(type=null) {
+        let recipients = this.#getRecipientsFromStorage();
+
+        if (recipients.length === 0) {
+            for (const headerType of ['to', 'cc', 'bcc']) {
+                recipients = recipients.concat(this.getHeaderAddresses(headerType));
             }
         }
 
-        return val;
+        return type ? recipients.filter((recipient) => recipient.type === type) : recipients;
+    }
+
+    /**
+     * returns a header. If a header occurs more than once, a array is returned.
+     * @param {String} key case insensitive
+     * @param {Boolean} decode decode encoded words (RFC 2047)
+     * @param {Boolean} removeLineBreaks unfold the value
+     * @returns {String|Array|null}
+     */
+    getHeader(key, decode=false, removeLineBreaks=false) {
+        const values = this.#getHeaderFields(key).map((header) => {
+            const value = removeLineBreaks ? header.value : header.raw;
+            return decode ? HeaderParser.decode(value) : value;
+        });
+
+        if (values.length === 0) {
+            return null;
+        }
+        return values.length === 1 ? values[0] : values;
+    }
+
+    /**
+     * returns all transport headers in their original order, the names keep their case
+     * @param {Boolean} decode decode encoded words (RFC 2047)
+     * @returns {Array} [{name, value, raw}] value is unfolded, raw is the folded value
+     */
+    getHeaders(decode=false) {
+        return (this.#headers ?? []).map((header) => {
+            return {
+                name: header.name,
+                value: decode ? HeaderParser.decode(header.value) : header.value,
+                raw: header.raw
+            };
+        });
+    }
+
+    /**
+     * returns the addresses of a header, e.g. 'from', 'to' or 'reply-to'
+     * @param {String} key
+     * @returns {Array} [{name, email, addressType, type, smtpAddress, entryId, group}]
+     */
+    getHeaderAddresses(key) {
+        const type = key.toLowerCase();
+        return this.#getHeaderFields(key).flatMap((header) => MsgReader.#parseAddressList(header.value, type));
+    }
+
+    /**
+     * returns the date of a header, e.g. 'date' or 'resent-date'
+     * @param {String} key
+     * @returns {Date|null}
+     */
+    getHeaderDate(key='date') {
+        const header = this.#getHeaderFields(key)[0];
+        return header ? HeaderParser.parseDate(header.value) : null;
+    }
+
+    /**
+     * returns the message ids of a header, e.g. 'message-id', 'in-reply-to' or 'references'
+     * @param {String} key
+     * @returns {Array} message ids with angle brackets
+     */
+    getHeaderMessageIds(key) {
+        return this.#getHeaderFields(key).flatMap((header) => HeaderParser.parseMessageIds(header.value));
+    }
+
+    /**
+     * returns the Content-Type header
+     * @returns {Object|null} {value, parameters}
+     */
+    getHeaderContentType() {
+        const header = this.#getHeaderFields('content-type')[0];
+        return header ? HeaderParser.parseContentType(header.value) : null;
+    }
+
+    /**
+     * returns the Received headers, the most recent first
+     * @returns {Array} [{from, by, via, with, id, for, date, raw}]
+     */
+    getReceivedHeaders() {
+        return this.#getHeaderFields('received').map((header) => HeaderParser.parseReceived(header.value));
+    }
+
+    /**
+     * returns the hops of the Received headers in transport order, the first hop is the one closest to the sender.
+     * The delay is the time in seconds since the previous hop, anomalies are 'missingDate', 'timeOrder' (received before
+     * the previous hop) and 'privateIpGap' (private sender address between public hops).
+     * @returns {Array} [{fromHost, fromHelo, fromIp, byHost, ips, protocol, tls, id, for, date, delay, anomalies, raw}]
+     */
+    getReceivedChain() {
+        return ReceivedChainAnalyzer.analyze(this.#getHeaderFields('received').map((header) => header.value));
     }
 
     getMessageText() {
+        const smime = this.#getSMimeContent();
+        if (smime && smime.content.text !== null) {
+            return smime.content.text;
+        }
+
         let val = this.#fileData.fieldsData.Body;
 
+        // fallback: plain text de-encapsulated from the rtf body (\fromtext)
+        if (!val) {
+            const rtf = this.#getMessageRtfIfValid();
+            if (!rtf || !RtfDecoder.isEncapsulatedText(rtf)) {
+                return val;
+            }
+            val = RtfDecoder.extractText(rtf);
+        }
+
         // replace nbsp with space
         let re = new RegExp(String.fromCharCode(160), "g");
         val = val.replace(re, " ");
@@ -239,49 +451,610 @@ export class MsgReader {
         return val;
     }
 
+    /**
+     * returns the named property mapping of the file (__nameid_version1.0)
+     * @returns {Object} property id as key (e.g. '0x8005'), {propertySet, propertySetName, lid, name, fieldName} as value
+     */
+    getNamedProperties() {
+        return this.#fileData.namedProperties ?? {};
+    }
+
     getMessageHtml() {
-        return this.#fileData.fieldsData.BodyHtml;
+        const smime = this.#getSMimeContent();
+        if (smime && smime.content.html !== null) {
+            return smime.content.html;
+        }
+
+        if (this.#fileData.fieldsData.BodyHtml) {
+            return this.#fileData.fieldsData.BodyHtml;
+        }
+
+        // fallback: html encapsulated in the rtf body
+        const rtf = this.#getMessageRtfIfValid();
+        if (rtf && RtfDecoder.isEncapsulatedHtml(rtf)) {
+            return RtfDecoder.extractHtml(rtf);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * returns the decompressed rtf body (PR_RTF_COMPRESSED)
+     * @returns {String|null}
+     */
+    getMessageRtf() {
+        if (this.#fileData.fieldsData && this.#fileData.fieldsData.RtfCompressed) {
+            return RtfDecoder.decompress(this.#fileData.fieldsData.RtfCompressed);
+        }
+        return null;
+    }
+
+    /**
+     * exports the message as RFC 5322 / MIME message (.eml).
+     * The original transport headers are used if available, otherwise the headers are built from the MAPI properties.
+     * @returns {String}
+     */
+    toEml() {
+        const crlf = MimeBuilder.CONST.CRLF;
+        const headers = this.#getEmlHeaders(), body = this.#getEmlBody();
+
+        return [...headers, 'MIME-Version: 1.0'].join(crlf) + crlf + body;
+    }
+
+    /**
+     * exports calendar items (IPM.Appointment, IPM.Schedule.Meeting.*) as iCalendar object (.ics) with VEVENT components
+     * and tasks (IPM.Task) with a VTODO component
+     * @returns {String|null} null if the message is no calendar item or task
+     */
+    toICalendar() {
+        if (MsgReader.#getByMessageClass({'ipm.task': true}, this.#fileData.fieldsData.MessageClass)) {
+            return ICalendarBuilder.buildCalendar([this.#getICalendarTodo()], 'PUBLISH');
+        }
+
+        const method = this.#getICalendarMethod();
+        if (!method) {
+            return null;
+        }
+
+        const timeZone = this.#getICalendarTimeZone(), components = [];
+        if (timeZone) {
+            components.push(TimeZoneDecoder.toVTimeZone(timeZone));
+        }
+
+        return ICalendarBuilder.buildCalendar(components.concat(this.#getICalendarEvents(method, timeZone)), method);
+    }
+
+    /**
+     * returns the recurrence of recurring appointments (PidLidAppointmentRecur), null if the appointment is not recurring or the pattern is invalid
+     * @returns {Object|null} {frequency, interval, daysOfWeek, endType, occurrenceCount, deletedInstanceDates, exceptions, rrule, ...}
+     */
+    getRecurrence() {
+        const fields = this.#fileData.fieldsData,
+                appointmentRecur = MsgReader.#getPropertyValue(fields, 'dispidApptRecur');
+
+        if (!(appointmentRecur instanceof Uint8Array)) {
+            return null;
+        }
+
+        try {
+            const recurrence = RecurrenceDecoder.decodeAppointment(appointmentRecur, Charset.fromCodePage(MsgReader.#getPropertyValue(fields, 'MessageCodePage')));
+            recurrence.rrule = RecurrenceDecoder.toRRule(recurrence, this.#getRecurrenceUntil(recurrence));
+
+            return recurrence;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * returns the time zones of appointments: of the start and end time and of the recurrence.
+     * The time zone definitions are used if available, the time zone struct otherwise. Invalid structures are skipped.
+     * @returns {Object} {start, end, recurrence}, each {keyName, bias, standardBias, daylightBias, standardDate, daylightDate, rules} or null
+     */
+    getTimeZones() {
+        const fields = this.#fileData.fieldsData,
+                value = (name) => MsgReader.#getPropertyValue(fields, name),
+                decode = (name, decoder) => {
+                    try {
+                        return value(name) instanceof Uint8Array ? decoder(value(name)) : null;
+                    } catch (e) {
+                        return null;
+                    }
+                },
+                definition = (name) => decode(name, (bytes) => TimeZoneDecoder.decodeDefinition(bytes)),
+                struct = decode('dispidTimeZoneStruct', (bytes) => TimeZoneDecoder.decodeStruct(bytes, value('dispidTimeZoneDesc'))),
+                start = definition('dispidApptTZDefStartDisplay') ?? struct;
+
+        return {
+            start: start,
+            end: definition('dispidApptTZDefEndDisplay') ?? start,
+            recurrence: definition('dispidApptTZDefRecur') ?? struct
+        };
+    }
+
+    /**
+     * returns the message class (PidTagMessageClass), e.g. IPM.Note, IPM.Appointment, IPM.Contact, IPM.StickyNote
+     * @returns {String|null}
+     */
+    getMessageClass() {
+        const messageClass = this.#fileData.fieldsData.MessageClass;
+        return typeof messageClass === 'string' && messageClass.trim() ? messageClass.trim() : null;
+    }
+
+    /**
+     * returns the certificates of the signers of S/MIME signed messages
+     * @returns {Array} [{serialNumber, issuer, subject, notBefore, notAfter, emailAddresses, raw, ...}], empty if the message is not signed
+     */
+    getSignerCertificates() {
+        const smime = this.#getSMimeContent();
+        return smime && smime.signedData ? smime.signedData.signers.map((signer) => signer.certificate).filter((certificate) => certificate) : [];
+    }
+
+    /**
+     * verifies the signature of S/MIME signed messages offline with WebCrypto.
+     * The signature is trusted if the certificate chain of the signer leads to one of the trusted certificates.
+     * @param {Array} trustedCertificates DER (Uint8Array) or PEM encoded certificates, e.g. of the root certificate authorities
+     * @returns {Promise<Object|null>} {valid, signers: [{certificate, signatureValid, trusted, chain, signingTime, errors}]}, null if the message is not signed
+     */
+    async verifySignature(trustedCertificates=[]) {
+        const smime = this.#getSMimeContent();
+        if (!smime || !smime.signedData) {
+            return null;
+        }
+        return CmsDecoder.verifySignedData(smime.signedData, smime.signedContent, trustedCertificates);
+    }
+
+    /**
+     * decrypts S/MIME encrypted messages (CMS enveloped data) offline with the private key of a recipient.
+     * Afterwards getMessageText(), getMessageHtml() and getAttachments() return the decrypted content,
+     * messages which are signed and encrypted can be verified with verifySignature().
+     * @param {Object} options {privateKey, certificate}
+     *          privateKey: RSA private key, PKCS#8 or PKCS#1, DER (Uint8Array) or PEM encoded, or an extractable CryptoKey
+     *          certificate: certificate of the recipient (DER or PEM encoded) to select the recipient, optional
+     * @returns {Promise<Object>} {text, html, attachments} the decrypted content
+     */
+    async decrypt({privateKey, certificate=null}) {
+        const content = this.#getSMimeAttachmentContent();
+        let envelopedData = null;
+
+        try {
+            envelopedData = content ? CmsDecoder.decodeEnvelopedData(content) : null;
+        } catch (e) {
+            envelopedData = null;
+        }
+        if (!envelopedData) {
+            throw new Error('message is not encrypted');
+        }
+
+        const decrypted = await CmsDecoder.decryptEnvelopedData(envelopedData, privateKey, certificate),
+                smime = MsgReader.#unwrapSMime(decrypted) ?? {mime: MimeParser.parse(decrypted), signedData: null, signedContent: null};
+
+        this.#smime = Object.assign(smime, {content: MimeParser.getContent(smime.mime), encrypted: true});
+        return this.#smime.content;
+    }
+
+    /**
+     * returns the report data of non-delivery reports, delivery reports and read receipts (REPORT.*).
+     * Reports contain a delivery status per recipient, read receipts the status of the reader (the sender of the receipt).
+     * @returns {Object|null} {kind, originalSubject, originalMessageId, originalSubmitTime, reportTime, reportText,
+     *          recipients: [{name, email, smtpAddress, addressType, status, reasonCode, reason, diagnosticCode, diagnostic, statusCode,
+     *          dsnStatus, supplementaryInfo, remoteMta, reportTime, deliverTime}], originalMessage}, null if the message is no report
+     */
+    getReport() {
+        const kind = this.getItemKind(), reportConst = MsgReader.CONST.MSG.REPORT;
+        if (!reportConst.STATUS[kind]) {
+            return null;
+        }
+
+        const fields = this.#fileData.fieldsData,
+                value = (name) => MsgReader.#getPropertyValue(fields, name),
+                originalAttachment = this.getAttachments().find((attachment) => attachment.innerMsg),
+                originalMessage = originalAttachment ? originalAttachment.innerMsg : null,
+                recipients = [];
+
+        if (kind === 'readReceipt' || kind === 'nonReadReceipt') {
+            const sender = this.getSender();
+            if (sender) {
+                recipients.push(Object.assign({
+                    name: sender.name,
+                    email: sender.email,
+                    smtpAddress: sender.smtpAddress ?? null,
+                    addressType: sender.addressType ?? null
+                }, MsgReader.#createReportRecipient({}, reportConst.STATUS[kind]), {
+                    reportTime: value('ReportTime') ?? value('ReceiptTime')
+                }));
+            }
+
+        } else {
+            const addresses = this.#getRecipientsFromStorage();
+            (fields.recipients ?? []).forEach((recipient, i) => {
+                recipients.push(Object.assign({
+                    name: addresses[i].name,
+                    email: addresses[i].email,
+                    smtpAddress: addresses[i].smtpAddress,
+                    addressType: addresses[i].addressType
+                }, MsgReader.#createReportRecipient(recipient, reportConst.STATUS[kind])));
+            });
+        }
+
+        return {
+            kind: kind,
+            originalSubject: value('OriginalSubject') ?? (originalMessage ? originalMessage.getSubject() ?? null : null),
+            originalMessageId: value('OriginalInternetMessageId') ?? (originalMessage ? originalMessage.getFileData().InternetMessageId ?? null : null),
+            originalSubmitTime: value('OriginalSubmitTime'),
+            reportTime: value('ReportTime'),
+            reportText: value('ReportText'),
+            recipients: recipients,
+            originalMessage: originalMessage
+        };
+    }
+
+    /**
+     * returns the fields of sticky notes (IPM.StickyNote)
+     * @returns {Object|null} {text, color, width, height, x, y}, null if the message is no sticky note
+     */
+    getStickyNote() {
+        const fields = this.#fileData.fieldsData;
+        if (!MsgReader.#getByMessageClass({'ipm.stickynote': true}, fields.MessageClass)) {
+            return null;
+        }
+
+        const value = (name) => MsgReader.#getPropertyValue(fields, name);
+
+        return {
+            text: fields.Body ?? null,
+            color: MsgReader.CONST.MSG.NOTE.COLORS[value('dispidNoteColor')] ?? null,
+            width: value('dispidNoteWidth'),
+            height: value('dispidNoteHeight'),
+            x: value('dispidNoteX'),
+            y: value('dispidNoteY')
+        };
+    }
+
+    /**
+     * returns the fields of journal entries (IPM.Activity)
+     * @returns {Object|null} {subject, type, typeDescription, start, end, duration, companies, contacts, documentPrinted,
+     *          documentSaved, documentRouted, documentPosted, notes}, null if the message is no journal entry. The duration is given in minutes.
+     */
+    getJournal() {
+        const fields = this.#fileData.fieldsData;
+        if (!MsgReader.#getByMessageClass({'ipm.activity': true}, fields.MessageClass)) {
+            return null;
+        }
+
+        const value = (name) => MsgReader.#getPropertyValue(fields, name),
+                list = (name) => Array.isArray(value(name)) ? value(name) : (value(name) ? [value(name)] : []);
+
+        return {
+            subject: this.getSubject(),
+            type: value('dispidLogType'),
+            typeDescription: value('dispidLogTypeDesc'),
+            start: value('dispidLogStart'),
+            end: value('dispidLogEnd'),
+            duration: value('dispidLogDuration'),
+            companies: list('dispidCompanies'),
+            contacts: list('dispidContacts'),
+            documentPrinted: !!value('dispidLogDocPrinted'),
+            documentSaved: !!value('dispidLogDocSaved'),
+            documentRouted: !!value('dispidLogDocRouted'),
+            documentPosted: !!value('dispidLogDocPosted'),
+            notes: fields.Body ?? null
+        };
+    }
+
+    /**
+     * returns distribution lists (IPM.DistList) with their members.
+     * The members are decoded from the wrapped entry ids, the name and address from the corresponding one-off entry ids.
+     * @returns {Object|null} {name, members: [{name, email, addressType, type, emailIndex}], notes}, null if the message is no distribution list
+     */
+    getDistributionList() {
+        const fields = this.#fileData.fieldsData;
+        if (!MsgReader.#getByMessageClass({'ipm.distlist': true}, fields.MessageClass)) {
+            return null;
+        }
+
+        const value = (name) => MsgReader.#getPropertyValue(fields, name),
+                list = (name) => Array.isArray(value(name)) ? value(name) : (value(name) instanceof Uint8Array ? [value(name)] : []),
+                charset = Charset.fromCodePage(value('MessageCodePage')),
+                memberEntryIds = list('dispidDLMembers'),
+                oneOffEntryIds = list('dispidDLOneOffMembers'),
+                members = [];
+
+        for (let i = 0; i < Math.max(memberEntryIds.length, oneOffEntryIds.length); i++) {
+            const member = MsgReader.#decodeEntryIdIfValid(memberEntryIds[i], charset),
+                    oneOff = MsgReader.#decodeEntryIdIfValid(oneOffEntryIds[i], charset),
+                    address = oneOff && oneOff.type === 'oneOff' ? oneOff : member;
+
+            if (address) {
+                members.push({
+                    name: address.displayName,
+                    email: address.emailAddress,
+                    addressType: address.addressType,
+                    type: member ? member.memberType ?? member.type : 'oneOff',
+                    emailIndex: member ? member.emailIndex : null
+                });
+            }
+        }
+
+        return {
+            name: value('dispidDLName') ?? this.getSubject(),
+            members: members,
+            notes: fields.Body ?? null
+        };
+    }
+
+    /**
+     * returns the fields of contact items (IPM.Contact)
+     * @returns {Object|null} {displayName, fileAs, prefix, givenName, middleName, surname, suffix, nickname, company, department, title,
+     *          profession, officeLocation, manager, assistant, spouseName, emails, phones, addresses, urls, instantMessaging, birthday,
+     *          anniversary, categories, notes, photo}, null if the message is no contact
+     */
+    getContact() {
+        const fields = this.#fileData.fieldsData;
+        if (!MsgReader.#getByMessageClass({'ipm.contact': true}, fields.MessageClass)) {
+            return null;
+        }
+
+        const value = (name) => MsgReader.#getPropertyValue(fields, name),
+                text = (name) => typeof value(name) === 'string' && value(name).trim() ? value(name).trim() : null,
+                contactConst = MsgReader.CONST.MSG.CONTACT;
+
+        const emails = [];
+        for (const prefix of contactConst.EMAILS) {
+            const email = MsgReader.#getContactEmail(text(prefix + 'EmailAddress'), text(prefix + 'AddrType'), text(prefix + 'OriginalDisplayName'));
+            if (email) {
+                emails.push({email: email, displayName: text(prefix + 'DisplayName')});
+            }
+        }
+
+        const phones = [];
+        for (const [name, phone] of Object.entries(contactConst.PHONES)) {
+            if (text(name)) {
+                phones.push({type: phone.type, number: text(name)});
+            }
+        }
+
+        const addresses = [], postalAddressId = value('dispidPostalAddressId');
+        for (const [type, addressFields] of Object.entries(contactConst.ADDRESSES)) {
+            const address = {type: type, preferred: postalAddressId === addressFields.id};
+            for (const [key, names] of Object.entries(addressFields)) {
+                if (key !== 'id') {
+                    address[key] = names.map(text).find((v) => v) ?? null;
+                }
+            }
+            if (address.street || address.city || address.postalCode || address.country || address.postOfficeBox || address.label) {
+                addresses.push(address);
+            }
+        }
+
+        const urls = [];
+        if (text('BusinessHomePage')) {
+            urls.push({type: 'business', url: text('BusinessHomePage')});
+        }
+        if (text('PersonalHomePage')) {
+            urls.push({type: 'personal', url: text('PersonalHomePage')});
+        }
+
+        const keywords = value('Keywords');
+
+        return {
+            displayName: text('DisplayName') ?? text('Subject'),
+            fileAs: text('dispidFileUnder'),
+            prefix: text('DisplayNamePrefix'),
+            givenName: text('GivenName'),
+            middleName: text('MiddleName'),
+            surname: text('Surname'),
+            suffix: text('Generation'),
+            nickname: text('Nickname'),
+            company: text('CompanyName'),
+            department: text('DepartmentName'),
+            title: text('Title'),
+            profession: text('Profession'),
+            officeLocation: text('OfficeLocation'),
+            manager: text('ManagerName'),
+            assistant: text('Assistant'),
+            spouseName: text('SpouseName'),
+            emails: emails,
+            phones: phones,
+            addresses: addresses,
+            urls: urls,
+            instantMessaging: text('dispidInstMsg'),
+            birthday: MsgReader.#getContactDate(value('dispidApptBirthdayLocal'), value('Birthday')),
+            anniversary: MsgReader.#getContactDate(value('dispidApptAnniversaryLocal'), value('WeddingAnniversary')),
+            categories: Array.isArray(keywords) ? keywords : (keywords ? [keywords] : []),
+            notes: text('Body'),
+            photo: this.#getContactPhoto()
+        };
+    }
+
+    /**
+     * returns the fields of task items (IPM.Task). Start, due and completion date are dates without time.
+     * @returns {Object|null} {subject, status, percentComplete, complete, startDate, dueDate, dateCompleted, owner, delegator, ownership,
+     *          importance, estimatedEffort, actualEffort, reminderTime, categories, notes, recurrence}, null if the message is no task
+     */
+    getTask() {
+        const fields = this.#fileData.fieldsData;
+        if (!MsgReader.#getByMessageClass({'ipm.task': true}, fields.MessageClass)) {
+            return null;
+        }
+
+        const value = (name) => MsgReader.#getPropertyValue(fields, name),
+                date = (name) => value(name) instanceof Date ? value(name) : null,
+                taskConst = MsgReader.CONST.MSG.TASK,
+                percentComplete = value('dispidPercentComplete'),
+                keywords = value('Keywords');
+
+        return {
+            subject: this.getSubject(),
+            status: taskConst.STATUS[value('dispidTaskStatus')] ?? taskConst.STATUS[0],
+            percentComplete: typeof percentComplete === 'number' ? Math.round(percentComplete * 100) : 0,
+            complete: !!value('dispidTaskComplete'),
+            startDate: date('dispidTaskStartDate'),
+            dueDate: date('dispidTaskDueDate'),
+            dateCompleted: date('dispidTaskDateCompleted'),
+            owner: value('dispidTaskOwner'),
+            delegator: value('dispidTaskDelegator'),
+            ownership: taskConst.OWNERSHIP[value('dispidTaskOwnership')] ?? null,
+            importance: taskConst.IMPORTANCE[value('Importance')] ?? 'normal',
+            estimatedEffort: value('dispidTaskEstimatedEffort'),
+            actualEffort: value('dispidTaskActualEffort'),
+            reminderTime: value('dispidReminderSet') ? date('dispidReminderTime') : null,
+            categories: Array.isArray(keywords) ? keywords : (keywords ? [keywords] : []),
+            notes: fields.Body ?? null,
+            recurrence: this.#getTaskRecurrenceIfValid()
+        };
+    }
+
+    /**
+     * exports contact items (IPM.Contact) as vCard 4.0 (.vcf)
+     * @returns {String|null} null if the message is no contact
+     */
+    toVCard() {
+        const contact = this.getContact();
+        if (!contact) {
+            return null;
+        }
+
+        const contactConst = MsgReader.CONST.MSG.CONTACT,
+                vCardTypes = Object.fromEntries(Object.values(contactConst.PHONES).map((phone) => [phone.type, phone.vCardType])),
+                structuredName = [contact.surname, contact.givenName, contact.middleName, contact.prefix, contact.suffix],
+                properties = [
+                    // FN is required, the email address is the last resort for a name
+                    ['FN', VCardBuilder.escapeText(contact.displayName || structuredName.filter((v) => v).join(' ') || contact.fileAs
+                            || contact.company || (contact.emails.length > 0 ? contact.emails[0].email : null) || '')],
+                    ['N', VCardBuilder.formatStructured(structuredName)],
+                    ['NICKNAME', contact.nickname ? VCardBuilder.escapeText(contact.nickname) : null],
+                    ['ORG', VCardBuilder.formatStructured([contact.company, contact.department])],
+                    ['TITLE', contact.title ? VCardBuilder.escapeText(contact.title) : null],
+                    ['ROLE', contact.profession ? VCardBuilder.escapeText(contact.profession) : null],
+                    ['BDAY', contact.birthday ? VCardBuilder.formatDate(contact.birthday) : null],
+                    ['ANNIVERSARY', contact.anniversary ? VCardBuilder.formatDate(contact.anniversary) : null]
+                ];
+
+        contact.emails.forEach((email, i) => properties.push(['EMAIL' + (i === 0 ? ';PREF=1' : ''), VCardBuilder.escapeText(email.email)]));
+
+        for (const phone of contact.phones) {
+            properties.push(['TEL;TYPE=' + VCardBuilder.formatParameter(vCardTypes[phone.type]), VCardBuilder.escapeText(phone.number)]);
+        }
+
+        for (const address of contact.addresses) {
+            properties.push([
+                'ADR;TYPE=' + address.type + (address.preferred ? ';PREF=1' : '') + (address.label ? ';LABEL=' + VCardBuilder.formatParameter(address.label.replace(/\r?\n/g, '\\n')) : ''),
+                VCardBuilder.formatStructured([address.postOfficeBox, null, address.street, address.city, address.state, address.postalCode, address.country]) ?? ';;;;;;'
+            ]);
+        }
+
+        for (const url of contact.urls) {
+            properties.push(['URL;TYPE=' + (url.type === 'business' ? 'work' : 'home'), url.url]);
+        }
+
+        properties.push(['IMPP', contact.instantMessaging && contact.instantMessaging.indexOf(':') !== -1 ? contact.instantMessaging : null]);
+        properties.push(['CATEGORIES', contact.categories.map((category) => VCardBuilder.escapeText(category)).join(',')]);
+        properties.push(['NOTE', contact.notes ? VCardBuilder.escapeText(contact.notes) : null]);
+        properties.push(['PHOTO', contact.photo ? VCardBuilder.formatDataUri(contact.photo.content, contact.photo.contentType) : null]);
+
+        return VCardBuilder.buildCard(properties);
     }
 
     // ----------------------------
     // PRIVATE STATIC CONSTANTS
     // ----------------------------
 
+    /**
+     * expands the TNEF attachments and parses the transport headers, after the file data is set
+     */
+    #initialize() {
+        // TNEF attachments (winmail.dat) are replaced by the attachments they contain
+        this.#expandTnefAttachments();
+
+        if (this.#fileData.fieldsData && this.#fileData.fieldsData.TransportMessageHeaders) {
+            this.#headers = HeaderParser.parse(this.#fileData.fieldsData.TransportMessageHeaders);
+        }
+    }
+
+    /**
+     * returns the rtf body or null if the message has no or an invalid rtf body
+     * @returns {String|null}
+     */
+    #getMessageRtfIfValid() {
+        try {
+            return this.getMessageRtf();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * returns the transport headers with the given name
+     * @param {String} key case insensitive
+     * @returns {Array} [{name, value, raw}]
+     */
+    #getHeaderFields(key) {
+        const name = key.toLowerCase();
+        return (this.#headers ?? []).filter((header) => header.name.toLowerCase() === name);
+    }
+
     #getRecipients() {
         const response = {to: [], cc: [], bcc: []};
+
+        this.#getRecipientsFromStorage().forEach((recipient) => {
+            const mail = (recipient.email ?? recipient.name ?? '').trim();
+            const disp = (recipient.name ?? '').trim();
+
+            if (mail && disp) {
+                response[recipient.type].push(disp + ' <' + mail + '>');
+            } else if (mail) {
+                response[recipient.type].push(mail);
+            } else if (disp) {
+                response[recipient.type].push(disp);
+            }
+        });
+
+        return {
+            to: response.to.join('; '),
+            cc: response.cc.join('; '),
+            bcc: response.bcc.join('; ')
+        };
+    }
+
+    /**
+     * returns the recipients of the recipient storages as address objects
+     * @returns {Array}
+     */
+    #getRecipientsFromStorage() {
+        const response = [];
         const displayTo = this.#fileData.fieldsData.DisplayTo ? this.#fileData.fieldsData.DisplayTo.trim() : '';
         const displayCc = this.#fileData.fieldsData.DisplayCc ? this.#fileData.fieldsData.DisplayCc.trim() : '';
         const displayBcc = this.#fileData.fieldsData.DisplayBcc ? this.#fileData.fieldsData.DisplayBcc.trim() : '';
 
         if (this.#fileData.fieldsData.recipients) {
             this.#fileData.fieldsData.recipients.forEach((recipient) => {
-                const mail = (MsgReader.#getEmailIfValid(recipient.EmailAddress) ?? MsgReader.#getEmailIfValid(recipient.SmtpAddress) ?? recipient.DisplayName ?? '').trim();
                 const disp = (recipient.DisplayName ?? '').trim();
-                let type = 'to';
+                const smtpAddress = MsgReader.#getEmailIfValid(recipient.SmtpAddress)
+                        ?? ((recipient.AddrType ?? 'SMTP').toUpperCase() === 'SMTP' ? MsgReader.#getEmailIfValid(recipient.EmailAddress) : null);
+                let type = MsgReader.#getRecipientType(recipient);
 
-                if (disp && displayTo.indexOf(disp) !== -1) {
+                // fallback: search the name in the display strings
+                if (!type) {
                     type = 'to';
-                } else if (disp && displayCc.indexOf(disp) !== -1) {
-                    type = 'cc';
-                } else if (disp && displayBcc.indexOf(disp) !== -1) {
-                    type = 'bcc';
+                    if (disp && displayTo.indexOf(disp) !== -1) {
+                        type = 'to';
+                    } else if (disp && displayCc.indexOf(disp) !== -1) {
+                        type = 'cc';
+                    } else if (disp && displayBcc.indexOf(disp) !== -1) {
+                        type = 'bcc';
+                    }
                 }
 
-                if (mail && disp) {
-                    response[type].push(disp + ' <' + mail + '>');
-                } else if (mail) {
-                    response[type].push(mail);
-                } else if (disp) {
-                    response[type].push(disp);
-                }
+                const address = MsgReader.#createAddress(type, disp || null, MsgReader.#getEmailIfValid(recipient.EmailAddress) ?? smtpAddress);
+                address.addressType = recipient.AddrType ?? address.addressType;
+                address.smtpAddress = smtpAddress;
+                address.entryId = recipient.EntryId ?? null;
+                response.push(address);
             });
         }
 
-        return {
-            to: response.to.join('; '),
-            cc: response.cc.join('; '),
-            bcc: response.bcc.join('; ')
-        };
+        return response;
     }
 
     // constants
@@ -330,13 +1103,255 @@ export class MsgReader {
                         ROOT: 5
                     }
                 },
+                RECIPIENT_TYPE: {
+                    ORIGINATOR: 0x00000000,
+                    TO: 0x00000001,
+                    CC: 0x00000002,
+                    BCC: 0x00000003,
+                    P1: 0x10000000,
+                    SUBMITTED: 0x80000000,
+                    MASK: 0x0000000f
+                },
+                RECIPIENT_FLAGS: {
+                    SENDABLE: 0x0001,
+                    ORGANIZER: 0x0002,
+                    EXCEPTIONAL_RESPONSE: 0x0010,
+                    EXCEPTIONAL_DELETED: 0x0020,
+                    ORIGINAL: 0x0100
+                },
+                CALENDAR: {
+                    // iTIP method by message class, derived classes (e.g. IPM.Appointment.Custom) are matched too
+                    METHOD: {
+                        'ipm.appointment': 'PUBLISH',
+                        'ipm.schedule.meeting.request': 'REQUEST',
+                        'ipm.schedule.meeting.notification.forward': 'REQUEST',
+                        'ipm.schedule.meeting.canceled': 'CANCEL',
+                        'ipm.schedule.meeting.resp.pos': 'REPLY',
+                        'ipm.schedule.meeting.resp.neg': 'REPLY',
+                        'ipm.schedule.meeting.resp.tent': 'REPLY'
+                    },
+                    RESPONSE_PARTSTAT: {
+                        'ipm.schedule.meeting.resp.pos': 'ACCEPTED',
+                        'ipm.schedule.meeting.resp.neg': 'DECLINED',
+                        'ipm.schedule.meeting.resp.tent': 'TENTATIVE'
+                    },
+                    // PidTagRecipientTrackStatus
+                    TRACK_STATUS_PARTSTAT: ['NEEDS-ACTION', 'ACCEPTED', 'TENTATIVE', 'ACCEPTED', 'DECLINED', 'NEEDS-ACTION'],
+                    // PidLidBusyStatus
+                    BUSY_STATUS: ['FREE', 'TENTATIVE', 'BUSY', 'OOF', 'WORKINGELSEWHERE'],
+                    // PidTagSensitivity
+                    SENSITIVITY_CLASS: ['PUBLIC', 'PRIVATE', 'PRIVATE', 'CONFIDENTIAL']
+                },
+                CONTACT: {
+                    // telephone number properties with the vCard TYPE parameter
+                    PHONES: {
+                        BusinessTelephoneNumber: {type: 'business', vCardType: 'work,voice'},
+                        Business2TelephoneNumber: {type: 'business2', vCardType: 'work,voice'},
+                        HomeTelephoneNumber: {type: 'home', vCardType: 'home,voice'},
+                        Home2TelephoneNumber: {type: 'home2', vCardType: 'home,voice'},
+                        MobileTelephoneNumber: {type: 'mobile', vCardType: 'cell'},
+                        PrimaryTelephoneNumber: {type: 'primary', vCardType: 'voice'},
+                        CompanyMainPhoneNumber: {type: 'companyMain', vCardType: 'work,voice'},
+                        AssistantTelephoneNumber: {type: 'assistant', vCardType: 'voice'},
+                        CallbackTelephoneNumber: {type: 'callback', vCardType: 'voice'},
+                        CarTelephoneNumber: {type: 'car', vCardType: 'voice'},
+                        OtherTelephoneNumber: {type: 'other', vCardType: 'voice'},
+                        RadioTelephoneNumber: {type: 'radio', vCardType: 'voice'},
+                        IsdnNumber: {type: 'isdn', vCardType: 'voice'},
+                        TtytddPhoneNumber: {type: 'ttyTdd', vCardType: 'textphone'},
+                        TelexNumber: {type: 'telex', vCardType: 'text'},
+                        PagerTelephoneNumber: {type: 'pager', vCardType: 'pager'},
+                        BusinessFaxNumber: {type: 'businessFax', vCardType: 'work,fax'},
+                        HomeFaxNumber: {type: 'homeFax', vCardType: 'home,fax'},
+                        PrimaryFaxNumber: {type: 'primaryFax', vCardType: 'fax'}
+                    },
+                    // postal address properties, the work address is stored as named and as tagged properties
+                    ADDRESSES: {
+                        work: {
+                            id: 2,
+                            street: ['dispidWorkAddressStreet', 'StreetAddress'],
+                            city: ['dispidWorkAddressCity', 'Locality'],
+                            state: ['dispidWorkAddressState', 'StateOrProvince'],
+                            postalCode: ['dispidWorkAddressPostalCode', 'PostalCode'],
+                            country: ['dispidWorkAddressCountry', 'Country'],
+                            postOfficeBox: ['dispidWorkAddressPostOfficeBox', 'PostOfficeBox'],
+                            label: ['dispidWorkAddress']
+                        },
+                        home: {
+                            id: 1,
+                            street: ['HomeAddressStreet'],
+                            city: ['HomeAddressCity'],
+                            state: ['HomeAddressStateOrProvince'],
+                            postalCode: ['HomeAddressPostalCode'],
+                            country: ['HomeAddressCountry'],
+                            postOfficeBox: ['HomeAddressPostOfficeBox'],
+                            label: ['dispidHomeAddress']
+                        },
+                        other: {
+                            id: 3,
+                            street: ['OtherAddressStreet'],
+                            city: ['OtherAddressCity'],
+                            state: ['OtherAddressStateOrProvince'],
+                            postalCode: ['OtherAddressPostalCode'],
+                            country: ['OtherAddressCountry'],
+                            postOfficeBox: ['OtherAddressPostOfficeBox'],
+                            label: ['dispidOtherAddress']
+                        }
+                    },
+                    EMAILS: ['dispidEmail1', 'dispidEmail2', 'dispidEmail3']
+                },
+                TASK: {
+                    // PidLidTaskStatus
+                    STATUS: ['notStarted', 'inProgress', 'complete', 'waitingOnOthers', 'deferred'],
+                    STATUS_ICALENDAR: ['NEEDS-ACTION', 'IN-PROCESS', 'COMPLETED', 'NEEDS-ACTION', 'NEEDS-ACTION'],
+                    // PidLidTaskOwnership
+                    OWNERSHIP: ['new', 'delegated', 'own'],
+                    // PidTagImportance
+                    IMPORTANCE: ['low', 'normal', 'high']
+                },
+                // PidTagMessageFlags
+                MESSAGE_FLAGS: {
+                    READ: 0x1,
+                    UNMODIFIED: 0x2,
+                    SUBMITTED: 0x4,
+                    UNSENT: 0x8,
+                    HASATTACH: 0x10,
+                    FROMME: 0x20,
+                    ASSOCIATED: 0x40,
+                    RESEND: 0x80,
+                    RN_PENDING: 0x100,
+                    NRN_PENDING: 0x200
+                },
+                ITEM_KIND: {
+                    // suffix of report message classes
+                    REPORT: {
+                        ipnrn: 'readReceipt',
+                        ipnnrn: 'nonReadReceipt',
+                        dr: 'deliveryReport',
+                        ndr: 'nonDeliveryReport',
+                        delayed: 'delayedDeliveryReport'
+                    },
+                    // derived classes (e.g. IPM.Schedule.Meeting.Resp.Pos) are matched too
+                    MESSAGE_CLASS: {
+                        'ipm.schedule.meeting.request': 'meetingRequest',
+                        'ipm.schedule.meeting.notification.forward': 'meetingRequest',
+                        'ipm.schedule.meeting.resp': 'meetingResponse',
+                        'ipm.schedule.meeting.canceled': 'meetingCancellation',
+                        'ipm.appointment': 'appointment',
+                        'ipm.contact': 'contact',
+                        'ipm.distlist': 'distributionList',
+                        'ipm.task': 'task',
+                        'ipm.taskrequest': 'taskRequest',
+                        'ipm.stickynote': 'stickyNote',
+                        'ipm.activity': 'journal',
+                        'ipm.note.smime.multipartsigned': 'signed',
+                        'ipm.note.smime': 'encrypted',
+                        'ipm.note.rpmsg': 'encrypted'
+                    }
+                },
+                REPORT: {
+                    // delivery status of the recipients by report kind
+                    STATUS: {
+                        readReceipt: 'read',
+                        nonReadReceipt: 'notRead',
+                        deliveryReport: 'delivered',
+                        nonDeliveryReport: 'failed',
+                        delayedDeliveryReport: 'delayed'
+                    },
+                    // PidTagNonDeliveryReportReasonCode
+                    NDR_REASON: ['TRANSFER_FAILED', 'UNABLE_TO_TRANSFER', 'CONVERSION_NOT_PERFORMED', 'PHYSICAL_RENDITION_NOT_PERFORMED',
+                        'PHYSICAL_DELIVERY_NOT_PERFORMED', 'RESTRICTED_DELIVERY', 'DIRECTORY_OPERATION_UNSUCCESSFUL'],
+                    // PidTagNonDeliveryReportDiagCode, -1 is NO_DIAGNOSTIC
+                    NDR_DIAG: ['OR_NAME_UNRECOGNIZED', 'OR_NAME_AMBIGUOUS', 'MTS_CONGESTED', 'LOOP_DETECTED', 'RECIPIENT_UNAVAILABLE',
+                        'MAXIMUM_TIME_EXPIRED', 'EITS_UNSUPPORTED', 'CONTENT_TOO_LONG', 'IMPRACTICAL_TO_CONVERT', 'PROHIBITED_TO_CONVERT',
+                        'CONVERSION_UNSUBSCRIBED', 'PARAMETERS_INVALID', 'CONTENT_SYNTAX_IN_ERROR', 'LENGTH_CONSTRAINT_VIOLATD',
+                        'NUMBER_CONSTRAINT_VIOLATD', 'CONTENT_TYPE_UNSUPPORTED', 'TOO_MANY_RECIPIENTS', 'NO_BILATERAL_AGREEMENT',
+                        'CRITICAL_FUNC_UNSUPPORTED', 'CONVERSION_LOSS_PROHIB', 'LINE_TOO_LONG', 'PAGE_TOO_LONG', 'PICTORIAL_SYMBOL_LOST',
+                        'PUNCTUATION_SYMBOL_LOST', 'ALPHABETIC_CHARACTER_LOST', 'MULTIPLE_INFO_LOSSES', 'REASSIGNMENT_PROHIBITED',
+                        'REDIRECTION_LOOP_DETECTED', 'EXPANSION_PROHIBITED', 'SUBMISSION_PROHIBITED', 'EXPANSION_FAILED',
+                        'RENDITION_UNSUPPORTED', 'MAIL_ADDRESS_INCORRECT', 'MAIL_OFFICE_INCOR_OR_INVD', 'MAIL_ADDRESS_INCOMPLETE',
+                        'MAIL_RECIPIENT_UNKNOWN', 'MAIL_RECIPIENT_DECEASED', 'MAIL_ORGANIZATION_EXPIRED', 'MAIL_REFUSED', 'MAIL_UNCLAIMED',
+                        'MAIL_RECIPIENT_MOVED', 'MAIL_RECIPIENT_TRAVELLING', 'MAIL_RECIPIENT_DEPARTED', 'MAIL_NEW_ADDRESS_UNKNOWN',
+                        'MAIL_FORWARDING_UNWANTED', 'MAIL_FORWARDING_PROHIB', 'SECURE_MESSAGING_ERROR', 'DOWNGRADING_IMPOSSIBLE']
+                },
+                NOTE: {
+                    // PidLidNoteColor
+                    COLORS: ['blue', 'green', 'pink', 'yellow', 'white']
+                },
+                TNEF: {
+                    CONTENT_TYPE: 'application/ms-tnef',
+                    FILE_NAME: 'winmail.dat'
+                },
                 FIELD: {
                     PREFIX: {
                         ATTACHMENT: '__attach_version1.0',
                         RECIPIENT: '__recip_version1.0',
+                        NAMEID: '__nameid_version1.0',
                         DOCUMENT: '__substg1.'
                     },
 
+                    // streams of the named property mapping storage
+                    NAMEID_STREAM: {
+                        GUID: '__substg1.0_00020102',
+                        ENTRY: '__substg1.0_00030102',
+                        STRING: '__substg1.0_00040102'
+                    },
+
+                    // property set GUIDs
+                    PROPERTY_SETS: {
+                        '00020328-0000-0000-c000-000000000046': 'PS_MAPI',
+                        '00020329-0000-0000-c000-000000000046': 'PS_PUBLIC_STRINGS',
+                        '00020386-0000-0000-c000-000000000046': 'PS_INTERNET_HEADERS',
+                        '00062008-0000-0000-c000-000000000046': 'PSETID_Common',
+                        '00062004-0000-0000-c000-000000000046': 'PSETID_Address',
+                        '00062002-0000-0000-c000-000000000046': 'PSETID_Appointment',
+                        '6ed8da90-450b-101b-98da-00aa003f1305': 'PSETID_Meeting',
+                        '00062003-0000-0000-c000-000000000046': 'PSETID_Task',
+                        '0006200a-0000-0000-c000-000000000046': 'PSETID_Log',
+                        '0006200e-0000-0000-c000-000000000046': 'PSETID_Note',
+                        '00062041-0000-0000-c000-000000000046': 'PSETID_PostRss',
+                        '00062040-0000-0000-c000-000000000046': 'PSETID_Sharing',
+                        '00062013-0000-0000-c000-000000000046': 'PSETID_Report',
+                        '00062014-0000-0000-c000-000000000046': 'PSETID_Remote',
+                        '41f28f13-83f4-4114-a584-eedb5a6b0bff': 'PSETID_Messaging',
+                        '4442858e-a9e3-4e80-b900-317a210cc15b': 'PSETID_UnifiedMessaging',
+                        '71035549-0739-4dcb-9163-00f0580dbbdf': 'PSETID_AirSync',
+                        '23239608-685d-4732-9c55-4c95cb4e8e33': 'PSETID_XmlExtractedEntities',
+                        '96357f7f-59e1-47d0-99a7-46515c183b54': 'PSETID_Attachment',
+                        '11000e07-b51b-40d6-af21-caa85edab1d0': 'PSETID_CalendarAssistant'
+                    },
+
+                    // named properties (by LID) which aren't in MAPI_PROPERTIES as dispid
+                    NAMED_PROPERTIES: {
+                        PSETID_Address: {
+                            "0x8005": "dispidFileUnder",
+                            "0x8006": "dispidFileUnderId",
+                            "0x8010": "dispidDepartment",
+                            "0x8015": "dispidHasPicture",
+                            "0x802d": "dispidYomiLastName",
+                            "0x802e": "dispidYomiCompanyName",
+                            "0x8048": "dispidWorkAddressPostalCode"
+                        },
+                        PSETID_Meeting: {
+                            "0x0001": "dispidAttendeeCriticalChange",
+                            "0x0002": "dispidWhere",
+                            "0x0003": "dispidGlobalObjectId",
+                            "0x0004": "dispidIsSilent",
+                            "0x0005": "dispidIsRecurring",
+                            "0x0006": "dispidRequiredAttendees",
+                            "0x0007": "dispidOptionalAttendees",
+                            "0x0008": "dispidResourceAttendees",
+                            "0x0009": "dispidDelegateMail",
+                            "0x000a": "dispidIsException",
+                            "0x000c": "dispidTimeZone",
+                            "0x001a": "dispidOwnerCriticalChange",
+                            "0x001c": "dispidCalendarType",
+                            "0x0023": "dispidCleanGlobalObjectId",
+                            "0x0024": "dispidAppointmentMessageClass",
+                            "0x0026": "dispidMeetingType"
+                        }
+                    },
+
                     // example (use fields as needed)
                     NAME_MAPPING: {
 
@@ -3275,10 +4290,57 @@ export class MsgReader {
                     TYPE_MAPPING: {
                         '001e': 'string',
                         '001f': 'unicode',
+                        '00fb': 'binary',
+                        '00fd': 'binary',
+                        '00fe': 'binary',
                         '0102': 'binary'
                     },
+                    // MS-OXCDATA 2.11.1 property data types
+                    PROPERTY_TYPE: {
+                        UNSPECIFIED: '0000',
+                        NULL: '0001',
+                        INTEGER16: '0002',
+                        INTEGER32: '0003',
+                        FLOATING32: '0004',
+                        FLOATING64: '0005',
+                        CURRENCY: '0006',
+                        FLOATING_TIME: '0007',
+                        ERROR_CODE: '000a',
+                        BOOLEAN: '000b',
+                        OBJECT: '000d',
+                        INTEGER64: '0014',
+                        STRING8: '001e',
+                        STRING: '001f',
+                        TIME: '0040',
+                        GUID: '0048',
+                        SERVER_ID: '00fb',
+                        RESTRICTION: '00fd',
+                        RULE_ACTION: '00fe',
+                        BINARY: '0102'
+                    },
+                    MULTI_VALUED_FLAG: 0x1000,
+                    // size in bytes of the fixed length types, one value of a multi-valued property
+                    FIXED_TYPE_SIZE: {
+                        '0002': 2,
+                        '0003': 4,
+                        '0004': 4,
+                        '0005': 8,
+                        '0006': 8,
+                        '0007': 8,
+                        '000a': 4,
+                        '000b': 2,
+                        '0014': 8,
+                        '0040': 8,
+                        '0048': 16
+                    },
                     DIR_TYPE: {
                         INNER_MSG: '000d'
+                    },
+                    STORAGE_TYPE: {
+                        ROOT: 'root',
+                        INNER_MSG: 'innerMsg',
+                        ATTACHMENT: 'attachment',
+                        RECIPIENT: 'recipient'
                     }
                 }
             }
@@ -3335,121 +4397,882 @@ export class MsgReader {
                     }
                 }
             }
-        };
-    }
+        };
+    }
+
+
+    // ----------------------------
+    // PRIVATE FUNCTIONS
+    // ----------------------------
+
+    /**
+     * iTIP method of calendar items
+     * @returns {String|null} null if the message is no calendar item
+     */
+    #getICalendarMethod() {
+        return MsgReader.#getByMessageClass(MsgReader.CONST.MSG.CALENDAR.METHOD, this.#fileData.fieldsData.MessageClass);
+    }
+
+    /**
+     * the VEVENT of the appointment, followed by a VEVENT for each modified occurrence of a recurring appointment
+     * @param {String} method iTIP method
+     * @param {Object|null} timeZone time zone of the dates, UTC is used if null
+     * @returns {Array}
+     */
+    #getICalendarEvents(method, timeZone) {
+        const recurrence = this.getRecurrence(),
+                uid = this.#getICalendarUid(),
+                events = [this.#getICalendarEvent(method, uid, recurrence, timeZone)];
+
+        if (recurrence) {
+            for (const exception of recurrence.exceptions) {
+                events.push(this.#getICalendarException(uid, recurrence, exception, timeZone));
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * @param {String} method iTIP method
+     * @param {String} uid
+     * @param {Object|null} recurrence
+     * @param {Object|null} timeZone
+     * @returns {String} the VEVENT component
+     */
+    #getICalendarEvent(method, uid, recurrence, timeZone) {
+        const fields = this.#fileData.fieldsData,
+                value = (name) => MsgReader.#getPropertyValue(fields, name),
+                allDay = !!value('dispidApptSubType'),
+                busyStatus = value('dispidBusyStatus'),
+                sensitivity = value('Sensitivity'),
+                importance = value('Importance'),
+                components = [];
+
+        const properties = [
+            ['UID', uid],
+            ['DTSTAMP', ICalendarBuilder.formatDateTime(this.getDate() ?? new Date())],
+            MsgReader.#getICalendarDateProperty('DTSTART', value('dispidApptStartWhole'), timeZone, allDay),
+            MsgReader.#getICalendarDateProperty('DTEND', value('dispidApptEndWhole'), timeZone, allDay),
+            // UNTIL is a DATE as well if DTSTART is a DATE
+            ['RRULE', recurrence ? (allDay && timeZone ? RecurrenceDecoder.toRRule(recurrence, null, true) : recurrence.rrule) : null],
+            MsgReader.#getICalendarDateProperty('EXDATE', recurrence ? recurrence.deletedInstanceDates
+                    .map((date) => this.#getRecurrenceUtcDate(recurrence, date, recurrence.startTimeOffset)) : [], timeZone, allDay),
+            ['SUMMARY', ICalendarBuilder.escapeText(this.getSubject())],
+            ['LOCATION', ICalendarBuilder.escapeText(value('dispidLocation') ?? value('dispidWhere'))],
+            ['DESCRIPTION', ICalendarBuilder.escapeText(fields.Body)],
+            ...this.#getICalendarAttendees(method),
+            ['SEQUENCE', value('dispidApptSequence')],
+            ['STATUS', method === 'CANCEL' ? 'CANCELLED' : null],
+            ['CLASS', MsgReader.CONST.MSG.CALENDAR.SENSITIVITY_CLASS[sensitivity]],
+            ['PRIORITY', importance === 2 ? 1 : (importance === 0 ? 9 : null)],
+            ['TRANSP', typeof busyStatus === 'number' ? (busyStatus === 0 ? 'TRANSPARENT' : 'OPAQUE') : null],
+            ['X-MICROSOFT-CDO-BUSYSTATUS', MsgReader.CONST.MSG.CALENDAR.BUSY_STATUS[busyStatus]],
+            ['X-MICROSOFT-CDO-ALLDAYEVENT', allDay ? 'TRUE' : 'FALSE']
+        ];
+
+        // reminder, the delta is given in minutes before the start
+        if (value('dispidReminderSet') && method !== 'CANCEL' && method !== 'REPLY') {
+            components.push(ICalendarBuilder.buildComponent('VALARM', [
+                ['ACTION', 'DISPLAY'],
+                ['DESCRIPTION', 'Reminder'],
+                ['TRIGGER;RELATED=START', ICalendarBuilder.formatDuration(-(value('dispidReminderDelta') ?? 15))]
+            ]));
+        }
+
+        return ICalendarBuilder.buildComponent('VEVENT', properties, components);
+    }
+
+    /**
+     * the VTODO of a task, the dates of tasks are dates without time
+     * @returns {String}
+     */
+    #getICalendarTodo() {
+        const fields = this.#fileData.fieldsData,
+                value = (name) => MsgReader.#getPropertyValue(fields, name),
+                task = this.getTask(),
+                components = [];
+
+        const properties = [
+            ['UID', this.#getICalendarUid()],
+            ['DTSTAMP', ICalendarBuilder.formatDateTime(this.getDate() ?? new Date())],
+            ['DTSTART;VALUE=DATE', task.startDate ? ICalendarBuilder.formatDate(task.startDate) : null],
+            ['DUE;VALUE=DATE', task.dueDate ? ICalendarBuilder.formatDate(task.dueDate) : null],
+            ['RRULE', task.recurrence && task.startDate ? RecurrenceDecoder.toRRule(task.recurrence, null, true) : null],
+            ['SUMMARY', ICalendarBuilder.escapeText(task.subject)],
+            ['DESCRIPTION', ICalendarBuilder.escapeText(task.notes)],
+            ['STATUS', MsgReader.CONST.MSG.TASK.STATUS_ICALENDAR[MsgReader.CONST.MSG.TASK.STATUS.indexOf(task.status)]],
+            ['PERCENT-COMPLETE', task.percentComplete],
+            ['COMPLETED', task.complete && task.dateCompleted ? ICalendarBuilder.formatDateTime(task.dateCompleted) : null],
+            ['CLASS', MsgReader.CONST.MSG.CALENDAR.SENSITIVITY_CLASS[value('Sensitivity')]],
+            ['PRIORITY', task.importance === 'high' ? 1 : (task.importance === 'low' ? 9 : null)],
+            ['CATEGORIES', task.categories.map((category) => ICalendarBuilder.escapeText(category)).join(',')]
+        ];
+
+        if (task.reminderTime && !task.complete) {
+            components.push(ICalendarBuilder.buildComponent('VALARM', [
+                ['ACTION', 'DISPLAY'],
+                ['DESCRIPTION', 'Reminder'],
+                ['TRIGGER;VALUE=DATE-TIME', ICalendarBuilder.formatDateTime(task.reminderTime)]
+            ]));
+        }
+
+        return ICalendarBuilder.buildComponent('VTODO', properties, components);
+    }
+
+    /**
+     * returns the task recurrence or null if the task is not recurring or the pattern is invalid
+     * @returns {Object|null}
+     */
+    #getTaskRecurrenceIfValid() {
+        const fields = this.#fileData.fieldsData,
+                taskRecur = MsgReader.#getPropertyValue(fields, 'dispidTaskRecur');
+
+        if (!MsgReader.#getPropertyValue(fields, 'dispidTaskFRecur') || !(taskRecur instanceof Uint8Array)) {
+            return null;
+        }
+        try {
+            return RecurrenceDecoder.decode(taskRecur);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * the UID is the hex encoded global object id of the meeting or task, shared by all messages of the meeting or task
+     * @returns {String}
+     */
+    #getICalendarUid() {
+        const fields = this.#fileData.fieldsData,
+                globalObjectId = MsgReader.#getPropertyValue(fields, 'dispidCleanGlobalObjectId') ?? MsgReader.#getPropertyValue(fields, 'dispidGlobalObjectId')
+                        ?? MsgReader.#getPropertyValue(fields, 'dispidTaskGlobalObjId');
+
+        if (globalObjectId instanceof Uint8Array && globalObjectId.length > 0) {
+            return Array.from(globalObjectId, (b) => b.toString(16).toUpperCase().padStart(2, '0')).join('');
+        }
+        if (fields.InternetMessageId) {
+            return fields.InternetMessageId.replace(/^<|>$/g, '');
+        }
+        return globalThis.crypto && globalThis.crypto.randomUUID ? globalThis.crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).substring(2);
+    }
+
+    /**
+     * VEVENT of a modified occurrence, identified by the RECURRENCE-ID of the original occurrence
+     * @param {String} uid
+     * @param {Object} recurrence
+     * @param {Object} exception
+     * @param {Object|null} timeZone
+     * @returns {String}
+     */
+    #getICalendarException(uid, recurrence, exception, timeZone) {
+        const fields = this.#fileData.fieldsData,
+                value = (name) => MsgReader.#getPropertyValue(fields, name),
+                allDay = !!(exception.subType ?? value('dispidApptSubType')),
+                busyStatus = exception.busyStatus ?? value('dispidBusyStatus'),
+                components = [];
+
+        if (exception.reminderSet ?? value('dispidReminderSet')) {
+            components.push(ICalendarBuilder.buildComponent('VALARM', [
+                ['ACTION', 'DISPLAY'],
+                ['DESCRIPTION', 'Reminder'],
+                ['TRIGGER;RELATED=START', ICalendarBuilder.formatDuration(-(exception.reminderDelta ?? value('dispidReminderDelta') ?? 15))]
+            ]));
+        }
+
+        return ICalendarBuilder.buildComponent('VEVENT', [
+            ['UID', uid],
+            MsgReader.#getICalendarDateProperty('RECURRENCE-ID', this.#getRecurrenceUtcDate(recurrence, exception.originalStartDate), timeZone, !!value('dispidApptSubType')),
+            ['DTSTAMP', ICalendarBuilder.formatDateTime(this.getDate() ?? new Date())],
+            MsgReader.#getICalendarDateProperty('DTSTART', this.#getRecurrenceUtcDate(recurrence, exception.startDate), timeZone, allDay),
+            MsgReader.#getICalendarDateProperty('DTEND', this.#getRecurrenceUtcDate(recurrence, exception.endDate), timeZone, allDay),
+            ['SUMMARY', ICalendarBuilder.escapeText(exception.subject ?? this.getSubject())],
+            ['LOCATION', ICalendarBuilder.escapeText(exception.location ?? value('dispidLocation') ?? value('dispidWhere'))],
+            ['SEQUENCE', value('dispidApptSequence')],
+            ['TRANSP', typeof busyStatus === 'number' ? (busyStatus === 0 ? 'TRANSPARENT' : 'OPAQUE') : null],
+            ['X-MICROSOFT-CDO-BUSYSTATUS', MsgReader.CONST.MSG.CALENDAR.BUSY_STATUS[busyStatus]]
+        ], components);
+    }
+
+    /**
+     * unwraps the signed content of S/MIME messages (IPM.Note.SMIME*): multipart/signed or opaque signed data (application/pkcs7-mime).
+     * The content of decrypted messages is set by decrypt().
+     * @returns {Object|null} {mime, content, signedData, signedContent, encrypted}, null if the message is not signed or the content is invalid
+     */
+    #getSMimeContent() {
+        if (this.#smime !== undefined) {
+            return this.#smime;
+        }
+        this.#smime = null;
+
+        try {
+            const content = this.#getSMimeAttachmentContent(), smime = content ? MsgReader.#unwrapSMime(content) : null;
+            if (smime) {
+                this.#smime = Object.assign(smime, {content: MimeParser.getContent(smime.mime), encrypted: false});
+            }
+        } catch (e) {
+            this.#smime = null;
+        }
+
+        return this.#smime;
+    }
+
+    /**
+     * decodes TNEF attachments (winmail.dat) and replaces them by the attachments of the TNEF stream.
+     * Message properties of the TNEF stream are added if the MSG file doesn't contain them, e.g. the RTF body.
+     * Invalid TNEF attachments are kept.
+     */
+    #expandTnefAttachments() {
+        const fields = this.#fileData.fieldsData;
+        if (!fields || !fields.attachments) {
+            return;
+        }
+
+        const codePages = {
+            message: MsgReader.#getPropertyValue(fields, 'MessageCodePage'),
+            internet: MsgReader.#getPropertyValue(fields, 'InternetCPID')
+        };
+
+        for (let i = 0; i < fields.attachments.length; i++) {
+            const attachData = fields.attachments[i];
+            if (!MsgReader.#isTnefAttachment(attachData)) {
+                continue;
+            }
+
+            let tnefFields;
+            try {
+                tnefFields = MsgReader.#convertTnefMessage(TnefDecoder.decode(this.getAttachment(attachData).content), codePages);
+            } catch (e) {
+                continue;
+            }
+
+            for (const [name, value] of Object.entries(tnefFields)) {
+                if (name === '_properties') {
+                    fields._properties = Object.assign({}, value, fields._properties);
+                } else if (name !== 'attachments' && name !== 'recipients' && fields[name] === undefined) {
+                    fields[name] = value;
+                }
+            }
+
+            fields.attachments.splice(i, 1, ...tnefFields.attachments);
+            i += tnefFields.attachments.length - 1;
+        }
+    }
+
+    /**
+     * the content of S/MIME messages is stored in the single attachment (smime.p7m)
+     * @returns {Uint8Array|null}
+     */
+    #getSMimeAttachmentContent() {
+        const fields = this.#fileData.fieldsData;
+        if ((fields.MessageClass ?? '').trim().toLowerCase().indexOf('ipm.note.smime') !== 0 || !fields.attachments || fields.attachments.length !== 1) {
+            return null;
+        }
+
+        const attachData = fields.attachments[0];
+        return attachData.innerMsgContentFields ? null : this.getAttachment(attachData).content ?? null;
+    }
+
+    /**
+     * the contact photo is attached as image, marked with PidTagAttachmentContactPhoto
+     * @returns {Object|null} {fileName, contentType, content}
+     */
+    #getContactPhoto() {
+        const attachments = this.#fileData.fieldsData.attachments ?? [];
+
+        for (const attachData of attachments) {
+            if (MsgReader.#getPropertyValue(attachData, 'IsContactPhoto') && !attachData.innerMsgContentFields) {
+                const attachment = this.getAttachment(attachData);
+                if (attachment.content) {
+                    return {
+                        fileName: attachment.fileName ?? null,
+                        contentType: attachData.AttachMimeTag ?? MsgReader.#getImageContentType(attachment.fileName ?? attachData.AttachExtension),
+                        content: attachment.content
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * the dates of the iCalendar export are given in the time zone of the recurrence, respectively of the start
+     * @returns {Object|null}
+     */
+    #getICalendarTimeZone() {
+        const timeZones = this.getTimeZones();
+        return MsgReader.#getPropertyValue(this.#fileData.fieldsData, 'dispidApptRecur') instanceof Uint8Array
+                ? timeZones.recurrence ?? timeZones.start
+                : timeZones.start;
+    }
+
+    /**
+     * converts a date of the recurrence, given in the time zone of the appointment, to UTC.
+     * Without time zone of the recurrence, the offset is taken from the start of the series.
+     * @param {Object} recurrence
+     * @param {Date} date local time as UTC
+     * @param {Number} minutes minutes to add, e.g. the start time of the occurrences
+     * @returns {Date}
+     */
+    #getRecurrenceUtcDate(recurrence, date, minutes=0) {
+        const start = MsgReader.#getPropertyValue(this.#fileData.fieldsData, 'dispidApptStartWhole'),
+                timeZone = this.getTimeZones().recurrence;
+        let offset = 0;
+
+        if (timeZone) {
+            return TimeZoneDecoder.toUtc(new Date(date.getTime() + minutes * 60000), timeZone);
+        }
+
+        if (start instanceof Date) {
+            offset = start.getTime() - (recurrence.startDate.getTime() + recurrence.startTimeOffset * 60000);
+        }
+
+        return new Date(date.getTime() + minutes * 60000 + offset);
+    }
+
+    /**
+     * @param {Object} recurrence
+     * @returns {Date|null} start of the last occurrence in UTC
+     */
+    #getRecurrenceUntil(recurrence) {
+        return recurrence.endDate ? this.#getRecurrenceUtcDate(recurrence, recurrence.endDate, recurrence.startTimeOffset) : null;
+    }
+
+    /**
+     * ORGANIZER and ATTENDEE properties.
+     * Replies contain the responding attendee only, the organizer is the recipient of the reply.
+     * @param {String} method iTIP method
+     * @returns {Array}
+     */
+    #getICalendarAttendees(method) {
+        const fields = this.#fileData.fieldsData,
+                addresses = this.#getRecipientsFromStorage(),
+                properties = [],
+                sender = this.getSender();
+        let organizer = null;
+
+        const formatAddress = (propertyName, address, parameters=[]) => {
+            if (address.name) {
+                parameters.unshift('CN=' + ICalendarBuilder.formatParameter(address.name));
+            }
+            return [[propertyName, ...parameters].join(';'), 'mailto:' + (address.smtpAddress ?? address.email ?? 'invalid:nomail')];
+        };
+
+        if (method === 'REPLY') {
+            const partStat = MsgReader.#getByMessageClass(MsgReader.CONST.MSG.CALENDAR.RESPONSE_PARTSTAT, fields.MessageClass);
+
+            organizer = addresses.find((address) => address.type === 'to') ?? null;
+            if (sender) {
+                properties.push(formatAddress('ATTENDEE', sender, ['PARTSTAT=' + partStat]));
+            }
+
+        } else {
+            const rsvp = MsgReader.#getPropertyValue(fields, 'ResponseRequested') && method === 'REQUEST';
+
+            addresses.forEach((address, i) => {
+                const recipient = fields.recipients[i],
+                        flags = MsgReader.#getPropertyValue(recipient, 'RecipientFlags') ?? 0,
+                        trackStatus = MsgReader.#getPropertyValue(recipient, 'RecipientTrackStatus'),
+                        parameters = [];
+
+                if (flags & MsgReader.CONST.MSG.RECIPIENT_FLAGS.ORGANIZER) {
+                    organizer = address;
+                    return;
+                }
+
+                // required (to), optional (cc) and resources (bcc)
+                if (address.type === 'bcc') {
+                    parameters.push('CUTYPE=RESOURCE', 'ROLE=NON-PARTICIPANT');
+                } else {
+                    parameters.push('ROLE=' + (address.type === 'cc' ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT'));
+                }
+                parameters.push('PARTSTAT=' + (MsgReader.CONST.MSG.CALENDAR.TRACK_STATUS_PARTSTAT[trackStatus] ?? 'NEEDS-ACTION'));
+                if (rsvp) {
+                    parameters.push('RSVP=TRUE');
+                }
+
+                properties.push(formatAddress('ATTENDEE', address, parameters));
+            });
+
+            organizer = organizer ?? sender;
+        }
+
+        if (organizer) {
+            properties.unshift(formatAddress('ORGANIZER', organizer));
+        }
+
+        return properties;
+    }
+
+    /**
+     * header fields of the eml export, without MIME-Version and the content headers
+     * @returns {Array}
+     */
+    #getEmlHeaders() {
+        const fields = this.#fileData.fieldsData ?? {};
+
+        if (fields.TransportMessageHeaders && fields.TransportMessageHeaders.trim()) {
+            return MimeBuilder.filterHeaders(fields.TransportMessageHeaders.trim(), MimeBuilder.CONST.CONTENT_HEADERS);
+        }
+
+        const headers = [],
+                sender = this.getSender(),
+                date = this.getDate(),
+                formatAddresses = (type) => this.getRecipientList(type)
+                        .map((recipient) => MimeBuilder.formatAddress(recipient.name, recipient.smtpAddress ?? recipient.email))
+                        .filter((address) => address)
+                        .join(', ');
+
+        // Date and From are required (RFC 5322 3.6): the time of the export and an empty group are used if unknown
+        headers.push(['Date', MimeBuilder.formatDate(date ?? new Date())]);
+        headers.push(['From', (sender ? MimeBuilder.formatAddress(sender.name, sender.smtpAddress ?? sender.email) : '')
+                || MimeBuilder.formatGroup(sender && sender.name && sender.name.trim() ? sender.name : 'undisclosed-sender')]);
+        headers.push(['To', formatAddresses('to')]);
+        headers.push(['Cc', formatAddresses('cc')]);
+        headers.push(['Bcc', formatAddresses('bcc')]);
+        headers.push(['Subject', MimeBuilder.encodeHeaderValue(this.getSubject() ?? '')]);
+        headers.push(['Message-ID', fields.InternetMessageId]);
+        headers.push(['In-Reply-To', fields.InReplyTo]);
+        headers.push(['References', fields.InternetReferences]);
+
+        const importance = fields._properties && fields._properties.Importance ? fields._properties.Importance.data : null;
+        if (importance === 0 || importance === 2) {
+            headers.push(['Importance', importance === 2 ? 'high' : 'low']);
+        }
+
+        return headers
+                .filter(([name, value]) => value !== null && value !== undefined && value !== '')
+                .map(([name, value]) => MimeBuilder.foldHeader(name, value));
+    }
+
+    /**
+     * MIME body of the eml export, including the content headers:
+     * multipart/mixed for attachments, multipart/related for inline images and multipart/alternative for text and html
+     * @returns {String}
+     */
+    #getEmlBody() {
+        const fields = this.#fileData.fieldsData ?? {}, html = this.getMessageHtml();
+        let text = fields.Body ?? (html ? null : this.getMessageText());
+
+        let body = null;
+        if (text !== null && text !== undefined && html) {
+            body = MimeBuilder.buildMultipart('alternative', [MimeBuilder.buildTextPart('plain', text), MimeBuilder.buildTextPart('html', MsgReader.#setHtmlCharset(html))]);
+        } else if (html) {
+            body = MimeBuilder.buildTextPart('html', MsgReader.#setHtmlCharset(html));
+        } else {
+            body = MimeBuilder.buildTextPart('plain', text);
+        }
+
+        // inline images are referenced by content id in the html body
+        const related = [], mixed = [];
+        for (const attachment of this.getAttachments()) {
+            const contentId = attachment.pidContentId ? attachment.pidContentId.replace(/^<|>$/g, '') : null;
+
+            if (attachment.innerMsg) {
+                mixed.push(MimeBuilder.buildPart([
+                    ['Content-Type', 'message/rfc822'],
+                    ['Content-Disposition', 'attachment; ' + MimeBuilder.formatParameter('filename', attachment.filename.replace(/\.msg$/i, '') + '.eml')]
+                ], attachment.innerMsg.toEml()));
+
+            } else if (attachment.content) {
+                const isInline = !!(contentId && html && html.indexOf('cid:' + contentId) !== -1);
+                const fileName = attachment.filename ?? contentId ?? 'attachment';
+
+                (isInline ? related : mixed).push(MimeBuilder.buildPart([
+                    ['Content-Type', (attachment.contentType ?? 'application/octet-stream') + '; ' + MimeBuilder.formatParameter('name', fileName)],
+                    ['Content-Transfer-Encoding', 'base64'],
+                    ['Content-Disposition', (isInline ? 'inline' : 'attachment') + '; ' + MimeBuilder.formatParameter('filename', fileName)],
+                    ['Content-ID', contentId ? '<' + contentId + '>' : null]
+                ], Base64.encode(attachment.content, 76)));
+            }
+        }
+
+        if (related.length > 0) {
+            body = MimeBuilder.buildMultipart('related', [body, ...related]);
+        }
+        if (mixed.length > 0) {
+            body = MimeBuilder.buildMultipart('mixed', [body, ...mixed]);
+        }
 
+        return body;
+    }
 
     // ----------------------------
-    // PRIVATE FUNCTIONS
+    // PRIVATE STATIC FUNCTIONS
     // ----------------------------
 
-    #decodeRfc1342(string) {
-        // =?utf-8?Q?Kostensch=C3=A4tzung=5F451.pdf?=
-        const decoder = new TextDecoder();
-        string = string.replace(/=\?([0-9a-z\-_:]+)\?(B|Q)\?(.*?)\?=/ig, (m, charset, encoding, encodedText) => {
-            let buf = null;
-            switch (encoding.toUpperCase()) {
-                case 'B': buf = this.#decodeBase64(encodedText, charset); break;
-                case 'Q': buf = this.#decodeQuotedPrintable(encodedText, charset, true); break;
-                default: throw new Error('invalid string encoding "' + encoding + '"');
-            }
-            return decoder.decode(new Uint8Array(buf));
-        });
-
-        return string;
+    /**
+     * returns the value of a property, read from a stream or from the property stream
+     * @param {Object} fields fields of the message, an attachment or a recipient
+     * @param {String} name
+     * @returns {Mixed}
+     */
+    static #getPropertyValue(fields, name) {
+        if (fields[name] !== undefined) {
+            return fields[name];
+        }
+        return fields._properties && fields._properties[name] ? fields._properties[name].data : null;
     }
 
     /**
-     * @param {Uint8Array|String} raw
-     * @param {String|null} charset
-     * @returns {ArrayBuffer}
+     * formats a date property of the iCalendar export
+     * @param {String} name
+     * @param {Date|Array|null} date UTC date or list of dates
+     * @param {Object|null} timeZone the local time of the time zone is used, UTC if null
+     * @param {Boolean} allDay dates without time, requires the time zone
+     * @returns {Array} [name including parameters, value]
      */
-    #decodeBase64(raw, charset=null) {
-        if (raw instanceof Uint8Array) {
-            const decoder = new TextDecoder();
-            raw = decoder.decode(raw);
+    static #getICalendarDateProperty(name, date, timeZone, allDay=false) {
+        const dates = (Array.isArray(date) ? date : [date]).filter((d) => d instanceof Date);
+
+        if (dates.length === 0) {
+            return [name, null];
         }
-        const binary_string = window.atob(raw);
-        const len = binary_string.length;
-        const bytes = new Uint8Array(len);
-        for (let i = 0; i < len; i++) {
-            bytes[i] = binary_string.charCodeAt(i);
+        if (timeZone && allDay) {
+            return [name + ';VALUE=DATE', dates.map((d) => ICalendarBuilder.formatDate(TimeZoneDecoder.toLocal(d, timeZone))).join(',')];
         }
-        if (!charset) {
-            return bytes.buffer;
+        if (timeZone) {
+            return [name + ';TZID=' + ICalendarBuilder.formatParameter(TimeZoneDecoder.getTzid(timeZone)),
+                dates.map((d) => ICalendarBuilder.formatLocalDateTime(TimeZoneDecoder.toLocal(d, timeZone))).join(',')];
+        }
+        return [name, dates.map((d) => ICalendarBuilder.formatDateTime(d)).join(',')];
+    }
 
-        } else {
-            // convert to utf-8
-            const dec = new TextDecoder(charset), enc = new TextEncoder();
-            const arr = enc.encode(dec.decode(bytes));
-            return arr.buffer;
+    /**
+     * the e-mail address of a contact. Exchange addresses (EX) are replaced by the SMTP address of the original display name.
+     * @param {String|null} address
+     * @param {String|null} addressType
+     * @param {String|null} originalDisplayName
+     * @returns {String|null}
+     */
+    static #getContactEmail(address, addressType, originalDisplayName) {
+        if (address && addressType && addressType.toUpperCase() === 'EX') {
+            return MsgReader.#getEmailIfValid(originalDisplayName ?? '') ?? address;
         }
+        return address;
     }
 
     /**
-     * @param {Uint8Array|String} raw
-     * @param {String} charset
-     * @param {Bool} replaceUnderline
-     * @returns {ArrayBuffer}
+     * birthday and anniversary are stored at midnight of the local time zone. The local property stores midnight as UTC,
+     * the tagged property is rounded to the nearest day.
+     * @param {Date|null} localDate
+     * @param {Date|null} date
+     * @returns {Date|null}
      */
-    #decodeQuotedPrintable(raw, charset, replaceUnderline=false) {
-        if (raw instanceof Uint8Array) {
-            const decoder = new TextDecoder();
-            raw = decoder.decode(raw);
+    static #getContactDate(localDate, date) {
+        if (localDate instanceof Date) {
+            return localDate;
         }
+        if (date instanceof Date) {
+            return new Date(Math.round(date.getTime() / 86400000) * 86400000);
+        }
+        return null;
+    }
+
+    /**
+     * content type of an image by file extension
+     * @param {String|null} fileName
+     * @returns {String}
+     */
+    static #getImageContentType(fileName) {
+        const extension = (fileName ?? '').split('.').pop().toLowerCase();
+        return {png: 'image/png', gif: 'image/gif', bmp: 'image/bmp'}[extension] ?? 'image/jpeg';
+    }
+
+    /**
+     * report data of a recipient, recipients with non-delivery data failed
+     * @param {Object} recipient fields of the recipient
+     * @param {String} status status by report kind
+     * @returns {Object}
+     */
+    static #createReportRecipient(recipient, status) {
+        const value = (name) => MsgReader.#getPropertyValue(recipient, name),
+                reportConst = MsgReader.CONST.MSG.REPORT,
+                reasonCode = value('NdrReasonCode'),
+                diagnosticCode = value('NdrDiagCode'),
+                supplementaryInfo = value('SupplementaryInfo'),
+                dsnStatus = typeof supplementaryInfo === 'string' ? supplementaryInfo.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/) : null;
+
+        return {
+            status: typeof reasonCode === 'number' || typeof diagnosticCode === 'number' ? 'failed' : status,
+            reasonCode: reasonCode,
+            reason: reportConst.NDR_REASON[reasonCode] ?? null,
+            diagnosticCode: diagnosticCode,
+            diagnostic: diagnosticCode === -1 ? 'NO_DIAGNOSTIC' : reportConst.NDR_DIAG[diagnosticCode] ?? null,
+            statusCode: value('NDRStatusCode'),
+            dsnStatus: dsnStatus ? dsnStatus[1] : null,
+            supplementaryInfo: supplementaryInfo,
+            remoteMta: value('RemoteMta'),
+            reportTime: value('ReportTime'),
+            deliverTime: value('DeliverTime')
+        };
+    }
+
+    /**
+     * TNEF attachments are identified by the content type or the file name and must start with the TNEF signature
+     * @param {Object} attachData
+     * @returns {Boolean}
+     */
+    static #isTnefAttachment(attachData) {
+        const tnef = MsgReader.CONST.MSG.TNEF;
+        return !attachData.innerMsgContentFields && !attachData.tnefContent && (
+                (attachData.AttachMimeTag ?? '').trim().toLowerCase() === tnef.CONTENT_TYPE
+                || (attachData.AttachLongFileName ?? attachData.AttachFileName ?? '').trim().toLowerCase() === tnef.FILE_NAME);
+    }
+
+    /**
+     * converts a decoded TNEF stream to message fields like the ones read from a MSG file
+     * @param {Object} tnef decoded by TnefDecoder
+     * @param {Object} codePages {message, internet} of the outer message
+     * @returns {Object}
+     */
+    static #convertTnefMessage(tnef, codePages) {
+        codePages = {message: tnef.codePage ?? codePages.message, internet: codePages.internet};
+
+        const fields = Object.assign({attachments: [], recipients: []}, MsgReader.#convertTnefProperties(tnef.properties, codePages));
 
-        // in RFC 1342 underline is used for space
-        if (replaceUnderline) {
-            raw = raw.replace(/_/g, ' ');
+        // attributes of encoders without MAPI properties
+        for (const [name, value] of [['MessageClass', tnef.messageClass], ['Subject', tnef.subject], ['Body', tnef.body]]) {
+            if (fields[name] === undefined && value !== null) {
+                fields[name] = value;
+            }
         }
 
-        const dc = new TextDecoder(charset ? charset : 'utf-8');
-        const str = raw.replace(/[\t\x20]$/gm, "").replace(/=(?:\r\n?|\n)/g, "").replace(/((?:=[a-fA-F0-9]{2})+)/g, (m) => {
-            const cd = m.substring(1).split('='), uArr=new Uint8Array(cd.length);
-            for (let i = 0; i < cd.length; i++) {
-                uArr[i] = parseInt(cd[i], 16);
+        for (const attachment of tnef.attachments) {
+            const attachmentFields = MsgReader.#convertTnefProperties(attachment.properties, codePages),
+                    embedded = attachment.properties.find((property) => property.iid === TnefDecoder.CONST.IID_IMESSAGE);
+
+            attachmentFields.AttachLongFileName = attachmentFields.AttachLongFileName ?? attachmentFields.AttachFileName ?? attachment.title;
+
+            if (embedded) {
+                // embedded messages are TNEF streams
+                attachmentFields.innerMsgContent = true;
+                attachmentFields.innerMsgContentFields = MsgReader.#convertTnefMessage(TnefDecoder.decode(embedded.values[0]), codePages);
+                delete attachmentFields.AttachDataObj;
+            } else {
+                attachmentFields.tnefContent = attachment.data ?? (attachmentFields.AttachDataObj instanceof Uint8Array ? attachmentFields.AttachDataObj : new Uint8Array(0));
+                attachmentFields.contentLength = attachmentFields.tnefContent.length;
             }
-            return dc.decode(uArr);
-        });
 
-        const encoder = new TextEncoder();
-        const arr = encoder.encode(str);
-        return arr.buffer;
+            fields.attachments.push(attachmentFields);
+        }
+
+        return fields;
     }
 
+    /**
+     * converts TNEF properties to fields: fixed length values up to 8 bytes are stored in _properties, all others as field
+     * @param {Array} properties
+     * @param {Object} codePages
+     * @returns {Object}
+     */
+    static #convertTnefProperties(properties, codePages) {
+        const fields = {_properties: {}}, fieldConst = MsgReader.CONST.MSG.FIELD;
+
+        for (const property of properties) {
+            const typeStr = property.type.toString(16).padStart(4, '0'),
+                    propertyId = property.id.toString(16).padStart(4, '0');
+            let fieldName;
 
-    // ----------------------------
-    // PRIVATE STATIC FUNCTIONS
-    // ----------------------------
+            if (property.propertySet) {
+                const namedProperty = {propertySet: property.propertySet, propertySetName: fieldConst.PROPERTY_SETS[property.propertySet] ?? null, lid: property.lid, name: property.name};
+                fieldName = property.name ?? MsgReader.#getNamedPropertyFieldName(namedProperty);
+            } else {
+                fieldName = MsgReader.#getMapiFieldName(propertyId) ?? 'unknown_' + propertyId;
+            }
+
+            const values = property.values.map((value) => {
+                switch (typeStr) {
+                    case fieldConst.PROPERTY_TYPE.STRING8:
+                        return MsgReader.#applyValueConverter(fieldName, typeStr, 'string', value.subarray(0, value.indexOf(0) === -1 ? value.length : value.indexOf(0)), codePages);
+                    case fieldConst.PROPERTY_TYPE.STRING:
+                        return new TextDecoder('utf-16le').decode(value).replace(/\0+$/, '');
+                    case fieldConst.PROPERTY_TYPE.BINARY:
+                        return MsgReader.#applyValueConverter(fieldName, typeStr, 'binary', value, codePages);
+                    default:
+                        return fieldConst.FIXED_TYPE_SIZE[typeStr] ? MsgReader.#readFieldData(typeStr, value) : value;
+                }
+            });
+
+            if (property.multiValued) {
+                fields[fieldName] = values;
+            } else if (fieldConst.FIXED_TYPE_SIZE[typeStr] && fieldConst.FIXED_TYPE_SIZE[typeStr] <= 8) {
+                fields._properties[fieldName] = {flags: {}, type: property.type, typeStr: typeStr, binData: property.values[0], data: values[0] ?? null};
+            } else if (values.length > 0) {
+                fields[fieldName] = values[0];
+            }
+        }
 
+        return fields;
+    }
 
-    static #splitHeaders(headerRaw) {
-        const headers = headerRaw.split(/\n(?=[^\s])/g), responseHeaders = {};
+    /**
+     * unwraps signed content: multipart/signed, opaque signed data (DER) or application/pkcs7-mime with signed data
+     * @param {Uint8Array} content
+     * @returns {Object|null} {mime, signedData, signedContent}, null if the content is not signed
+     */
+    static #unwrapSMime(content) {
+        // DER encoded CMS starts with a SEQUENCE, MIME content with headers
+        if (content[0] === 0x30) {
+            if (CmsDecoder.decodeContentInfo(content).contentType !== CmsDecoder.CONST.OID.SIGNED_DATA) {
+                return null;
+            }
 
-        for (let header of headers) {
-            const sepPos = header.indexOf(':');
-            if (sepPos !== -1) {
-                const key = header.substring(0, sepPos).toLowerCase().trim(), value=header.substring(sepPos+1).trim();
+            const signedData = CmsDecoder.decodeSignedData(content);
+            return signedData.content ? {mime: MimeParser.parse(signedData.content), signedData: signedData, signedContent: signedData.content} : null;
+        }
 
-                if (responseHeaders[key] && typeof responseHeaders[key] === 'string') {
-                    responseHeaders[key] = [responseHeaders[key]];
+        const root = MimeParser.parse(content);
+        switch (root.contentType.value) {
+            case 'multipart/signed':
+                if (root.parts.length < 2) {
+                    return null;
                 }
-                if (responseHeaders[key]) {
-                    responseHeaders[key].push(value);
+                return {
+                    mime: root.parts[0],
+                    signedData: CmsDecoder.decodeSignedData(MimeParser.decodeBody(root.parts[1])),
+                    signedContent: MsgReader.#toCanonicalLineBreaks(root.parts[0].raw)
+                };
 
-                } else {
-                    responseHeaders[key] = value;
-                }
+            case 'application/pkcs7-mime':
+            case 'application/x-pkcs7-mime': {
+                const body = MimeParser.decodeBody(root);
+                return body.length > 0 && body[0] === 0x30 ? MsgReader.#unwrapSMime(body) : null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * converts line breaks to CRLF, the canonical form of signed MIME content (RFC 8551 3.1.1)
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array}
+     */
+    static #toCanonicalLineBreaks(bytes) {
+        const result = [];
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] === 10 && (i === 0 || bytes[i - 1] !== 13)) {
+                result.push(13);
+            }
+            result.push(bytes[i]);
+        }
+        return result.length === bytes.length ? bytes : new Uint8Array(result);
+    }
+
+    /**
+     * decodes an entry id, null if the entry id is missing or invalid
+     * @param {Uint8Array|undefined} entryId
+     * @param {String|null} charset
+     * @returns {Object|null}
+     */
+    static #decodeEntryIdIfValid(entryId, charset) {
+        try {
+            return entryId instanceof Uint8Array ? EntryIdDecoder.decode(entryId, charset) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * returns the entry of a map by message class, derived classes (e.g. IPM.Note.Custom) match their base class
+     * @param {Object} map lower case message class as key
+     * @param {String|null} messageClass
+     * @returns {Mixed}
+     */
+    static #getByMessageClass(map, messageClass) {
+        let key = (messageClass ?? '').toLowerCase().trim();
+
+        while (key) {
+            if (map[key] !== undefined) {
+                return map[key];
             }
+            key = key.indexOf('.') !== -1 ? key.substring(0, key.lastIndexOf('.')) : '';
+        }
+        return null;
+    }
+
+    /**
+     * creates a MsgReader for a message which is attached to another message
+     * @param {DataStream} ds data stream of the outer message
+     * @param {Object} msgData file data of the outer message
+     * @param {Object} innerMsgFields fields of the embedded message
+     * @returns {MsgReader}
+     */
+    static #createInnerMsg(ds, msgData, innerMsgFields) {
+        const innerMsg = new MsgReader(MsgReader.#INNER_MSG);
+
+        // the embedded message shares the data stream and the property data of the outer message
+        innerMsg.#ds = ds;
+        innerMsg.#fileData = Object.assign({}, msgData, {fieldsData: innerMsgFields});
+        innerMsg.#initialize();
+
+        return innerMsg;
+    }
+
+    static #getInnerMsgFileName(attachData, innerMsg) {
+        let fileName = attachData.AttachLongFileName ?? attachData.AttachFileName ?? null;
+        if (!fileName) {
+            fileName = (attachData.DisplayName ?? innerMsg.getSubject() ?? 'message') + '.msg';
+        }
+        return fileName;
+    }
+
+    /**
+     * returns the type of a recipient by PR_RECIPIENT_TYPE
+     * @param {Object} recipient recipient fields
+     * @returns {String|null} 'to', 'cc', 'bcc' or null if the type is unknown
+     */
+    static #getRecipientType(recipient) {
+        if (!recipient._properties || !recipient._properties.RecipientType || typeof recipient._properties.RecipientType.data !== 'number') {
+            return null;
+        }
+
+        // the high bits are flags (e.g. MAPI_P1 for resend)
+        switch (recipient._properties.RecipientType.data & MsgReader.CONST.MSG.RECIPIENT_TYPE.MASK) {
+            case MsgReader.CONST.MSG.RECIPIENT_TYPE.TO: return 'to';
+            case MsgReader.CONST.MSG.RECIPIENT_TYPE.CC: return 'cc';
+            case MsgReader.CONST.MSG.RECIPIENT_TYPE.BCC: return 'bcc';
         }
 
-        return responseHeaders;
+        return null;
+    }
+
+    /**
+     * @param {String} type
+     * @param {String|null} name
+     * @param {String|null} email
+     * @returns {Object} address object
+     */
+    static #createAddress(type, name, email) {
+        return {
+            name: name || null,
+            email: email || null,
+            addressType: email ? 'SMTP' : null,
+            type: type,
+            smtpAddress: MsgReader.#getEmailIfValid(email),
+            entryId: null,
+            group: null
+        };
+    }
+
+    /**
+     * parses a RFC 5322 address list, including groups and quoted display names
+     * @param {String} str
+     * @param {String} type the type of the addresses, e.g. 'to'
+     * @returns {Array}
+     */
+    static #parseAddressList(str, type) {
+        return HeaderParser.parseAddressList(str).map((mailbox) => {
+            const address = MsgReader.#createAddress(type, mailbox.name, mailbox.email);
+            address.group = mailbox.group;
+            return address;
+        });
     }
 
     static #getEmailIfValid(str) {
         const validRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$/;
 
-        if(str.match(validRegex)) {
+        if (str && str.match(validRegex)) {
             return str;
         } else {
             return null;
@@ -3525,6 +5348,7 @@ export class MsgReader {
             MsgReader.#xbatData(ds, msgData);
         }
         msgData.propertyData = MsgReader.#propertyData(ds, msgData);
+        msgData.namedProperties = MsgReader.#namedPropertiesData(ds, msgData);
         msgData.fieldsData = MsgReader.#fieldsData(ds, msgData);
 
         return msgData;
@@ -3686,33 +5510,172 @@ export class MsgReader {
         }
     }
 
+    /**
+     * read the named property mapping storage
+     * https://learn.microsoft.com/en-us/openspecs/exchange_server_protocols/ms-oxmsg/193c169b-0628-4392-aa51-83009be7f3e5
+     * @returns {Object} property id as key (e.g. '0x8005')
+     */
+    static #namedPropertiesData(ds, msgData) {
+        const rootProperty = msgData.propertyData[0], streams = {}, namedProperties = {};
+        let nameIdProperty = null;
+
+        for (const index of (rootProperty.children ?? [])) {
+            const childProperty = msgData.propertyData[index];
+            if (childProperty.type === MsgReader.CONST.MSG.PROP.TYPE_ENUM.DIRECTORY && childProperty.name === MsgReader.CONST.MSG.FIELD.PREFIX.NAMEID) {
+                nameIdProperty = childProperty;
+            }
+        }
+
+        if (!nameIdProperty || !nameIdProperty.children) {
+            return namedProperties;
+        }
+
+        for (const index of nameIdProperty.children) {
+            const childProperty = msgData.propertyData[index];
+            if (childProperty.type === MsgReader.CONST.MSG.PROP.TYPE_ENUM.DOCUMENT) {
+                streams[childProperty.name.toLowerCase()] = MsgReader.#getFieldValue(ds, msgData, childProperty, 'binary') ?? new Uint8Array(0);
+            }
+        }
+
+        const guidData = streams[MsgReader.CONST.MSG.FIELD.NAMEID_STREAM.GUID] ?? new Uint8Array(0),
+                entryData = streams[MsgReader.CONST.MSG.FIELD.NAMEID_STREAM.ENTRY] ?? new Uint8Array(0),
+                stringData = streams[MsgReader.CONST.MSG.FIELD.NAMEID_STREAM.STRING] ?? new Uint8Array(0),
+                propertySets = MsgReader.CONST.MSG.FIELD.PROPERTY_SETS,
+                entryDs = new DataStream(entryData, 0, DataStream.LITTLE_ENDIAN),
+                stringDs = new DataStream(stringData, 0, DataStream.LITTLE_ENDIAN);
+
+        // guid index 1 and 2 are reserved for PS_MAPI and PS_PUBLIC_STRINGS, the GUID stream starts at 3
+        const getGuid = (guidIndex) => {
+            if (guidIndex === 1) {
+                return '00020328-0000-0000-c000-000000000046';
+            } else if (guidIndex === 2) {
+                return '00020329-0000-0000-c000-000000000046';
+            } else if (guidIndex >= 3 && (guidIndex - 2) * 16 <= guidData.length) {
+                return MsgReader.#convertGuid(guidData.subarray((guidIndex - 3) * 16, (guidIndex - 2) * 16));
+            }
+            return null;
+        };
+
+        entryDs.seek(0);
+        for (let i = 0; i + 8 <= entryData.length; i += 8) {
+            const nameIdOrOffset = entryDs.readUint32(),
+                    indexAndKind = entryDs.readUint32(),
+                    isString = (indexAndKind & 0x1) === 1,
+                    guid = getGuid((indexAndKind >>> 1) & 0x7fff),
+                    propertyId = '0x' + (0x8000 + (indexAndKind >>> 16)).toString(16).padStart(4, '0'),
+                    namedProperty = {propertySet: guid, propertySetName: propertySets[guid] ?? null, lid: null, name: null, fieldName: null};
+
+            if (isString) {
+                if (nameIdOrOffset + 4 <= stringData.length) {
+                    stringDs.seek(nameIdOrOffset);
+                    const length = stringDs.readUint32();
+                    namedProperty.name = stringDs.readUCS2String(Math.min(length, stringData.length - nameIdOrOffset - 4) / 2);
+                }
+                namedProperty.fieldName = namedProperty.name;
+
+            } else {
+                namedProperty.lid = nameIdOrOffset;
+                namedProperty.fieldName = MsgReader.#getNamedPropertyFieldName(namedProperty);
+            }
+
+            namedProperties[propertyId] = namedProperty;
+        }
+
+        return namedProperties;
+    }
+
+    /**
+     * field name of a named property identified by LID
+     * @param {Object} namedProperty
+     * @returns {String}
+     */
+    static #getNamedPropertyFieldName(namedProperty) {
+        const lid = '0x' + namedProperty.lid.toString(16).padStart(4, '0'),
+                named = MsgReader.CONST.MSG.FIELD.NAMED_PROPERTIES[namedProperty.propertySetName];
+
+        if (named && named[lid]) {
+            return named[lid];
+        }
+
+        // the dispids of the outlook property sets are listed in MAPI_PROPERTIES
+        if (namedProperty.propertySetName && namedProperty.propertySetName !== 'PSETID_Meeting') {
+            const mapiName = MsgReader.CONST.MSG.FIELD.MAPI_PROPERTIES[lid];
+            if (mapiName && (namedProperty.propertySetName === 'PS_MAPI' || mapiName.indexOf('dispid') === 0)) {
+                return mapiName;
+            }
+        }
+
+        return (namedProperty.propertySetName ?? '{' + namedProperty.propertySet + '}') + ':' + lid;
+    }
+
+    /**
+     * converts 16 bytes to a GUID string
+     * @param {Uint8Array} bytes
+     * @returns {String}
+     */
+    static #convertGuid(bytes) {
+        const hex = (start, end, reverse) => {
+            let parts = Array.from(bytes.subarray(start, end), (b) => b.toString(16).padStart(2, '0'));
+            return (reverse ? parts.reverse() : parts).join('');
+        };
+        return hex(0, 4, true) + '-' + hex(4, 6, true) + '-' + hex(6, 8, true) + '-' + hex(8, 10, false) + '-' + hex(10, 16, false);
+    }
+
     // extract real fields
     static #fieldsData(ds, msgData) {
         let fields = {
             attachments: [],
             recipients: []
         };
-        MsgReader.#fieldsDataDir(ds, msgData, msgData.propertyData[0], fields);
+        MsgReader.#fieldsDataDir(ds, msgData, msgData.propertyData[0], fields, MsgReader.CONST.MSG.FIELD.STORAGE_TYPE.ROOT);
         return fields;
     }
 
-    static #fieldsDataDir(ds, msgData, dirProperty, fields) {
-        const dirIsRoot = dirProperty && dirProperty.name && dirProperty.name.toLowerCase().indexOf("root") !== -1;
+    /**
+     * @param {DataStream} ds
+     * @param {Object} msgData
+     * @param {Object} dirProperty
+     * @param {Object} fields
+     * @param {String|null} storageType one of CONST.MSG.FIELD.STORAGE_TYPE, if the dir has its own property stream
+     * @param {Object} codePages {message, internet} code pages inherited from the parent message
+     */
+    static #fieldsDataDir(ds, msgData, dirProperty, fields, storageType=null, codePages={message: null, internet: null}) {
 
         if (dirProperty.children && dirProperty.children.length > 0) {
+
+            // fixed length properties of the message, attachment or recipient.
+            // Read first, the code page is required to decode the 8-bit strings.
+            for (let i = 0; storageType && i < dirProperty.children.length; i++) {
+                let childProperty = msgData.propertyData[dirProperty.children[i]];
+
+                if (childProperty.type === MsgReader.CONST.MSG.PROP.TYPE_ENUM.DOCUMENT && childProperty.name === '__properties_version1.0') {
+                    let binPropertiesData = MsgReader.#getFieldValue(ds, msgData, childProperty, 'binary');
+                    fields._properties = MsgReader.#readProperties(binPropertiesData, storageType, msgData.namedProperties);
+
+                    codePages = {
+                        message: fields._properties.MessageCodePage ? fields._properties.MessageCodePage.data : codePages.message,
+                        internet: fields._properties.InternetCPID ? fields._properties.InternetCPID.data : codePages.internet
+                    };
+                }
+            }
+
+            // streams by name, multi-valued properties are spread over several streams
+            let documentProperties = {};
+            for (let i = 0; i < dirProperty.children.length; i++) {
+                let childProperty = msgData.propertyData[dirProperty.children[i]];
+                if (childProperty.type === MsgReader.CONST.MSG.PROP.TYPE_ENUM.DOCUMENT) {
+                    documentProperties[childProperty.name.toLowerCase()] = childProperty;
+                }
+            }
+
             for (let i = 0; i < dirProperty.children.length; i++) {
                 let childProperty = msgData.propertyData[dirProperty.children[i]];
 
                 if (childProperty.type === MsgReader.CONST.MSG.PROP.TYPE_ENUM.DIRECTORY) {
-                    MsgReader.#fieldsDataDirInner(ds, msgData, childProperty, fields);
+                    MsgReader.#fieldsDataDirInner(ds, msgData, childProperty, fields, codePages);
 
                 } else if (childProperty.type === MsgReader.CONST.MSG.PROP.TYPE_ENUM.DOCUMENT && childProperty.name.indexOf(MsgReader.CONST.MSG.FIELD.PREFIX.DOCUMENT) === 0) {
-                    MsgReader.#fieldsDataDocument(ds, msgData, childProperty, fields);
-
-                // root properties
-                } else if (dirIsRoot && childProperty.name === '__properties_version1.0') {
-                    let binPropertiesData = MsgReader.#getFieldValue(ds, msgData, childProperty, 'binary');
-                    fields._properties = MsgReader.#readRootProperties(binPropertiesData);
+                    MsgReader.#fieldsDataDocument(ds, msgData, childProperty, fields, codePages, documentProperties);
                 }
             }
         }
@@ -3721,8 +5684,11 @@ export class MsgReader {
     /**
      * read the Property Stream
      * https://learn.microsoft.com/en-us/openspecs/exchange_server_protocols/ms-oxmsg/20c1125f-043d-42d9-b1dc-cb9b7e5198ef
+     * @param {Uint8Array} binPropertiesData
+     * @param {String} storageType the header is 32 bytes for the root, 24 bytes for embedded messages and 8 bytes for attachments and recipients
+     * @param {Object|null} namedProperties
      */
-    static #readRootProperties(binPropertiesData) {
+    static #readProperties(binPropertiesData, storageType, namedProperties=null) {
         const ds = new DataStream(binPropertiesData, 0, DataStream.LITTLE_ENDIAN),
                 values={
                     _header:{}
@@ -3738,13 +5704,15 @@ export class MsgReader {
             }
         }
 
-        values._header.nextRecipientId = ds.readUint32();
-        values._header.nextAttachmentId = ds.readUint32();
-        values._header.recipientCount = ds.readUint32();
-        values._header.attachmentCount = ds.readUint32();
+        if (storageType === MsgReader.CONST.MSG.FIELD.STORAGE_TYPE.ROOT || storageType === MsgReader.CONST.MSG.FIELD.STORAGE_TYPE.INNER_MSG) {
+            values._header.nextRecipientId = ds.readUint32();
+            values._header.nextAttachmentId = ds.readUint32();
+            values._header.recipientCount = ds.readUint32();
+            values._header.attachmentCount = ds.readUint32();
+        }
 
         // Reserved (8 bytes): This field MUST be set to zero
-        for (let i = 0; i < 8; i++) {
+        for (let i = 0; storageType === MsgReader.CONST.MSG.FIELD.STORAGE_TYPE.ROOT && i < 8; i++) {
             if (ds.readUint8() !== 0) {
                 throw new Error('invalid properties header');
             }
@@ -3758,10 +5726,10 @@ export class MsgReader {
                     fieldClass = ds.readUint16(),
                     flags = ds.readUint32().toString(16),
                     value = [],
-                    fieldName = MsgReader.#getMapiFieldName(fieldClass.toString(16).padStart(4, '0'));
+                    fieldName = MsgReader.#getMapiFieldName(fieldClass.toString(16).padStart(4, '0'), namedProperties);
 
             property.type = fieldType;
-            property.typeStr = fieldType.toString(16).padStart(4, '0');;
+            property.typeStr = fieldType.toString(16).padStart(4, '0');
             property.flags.mandatory = !!(flags & 0x00000001);
             property.flags.readable = !!(flags & 0x00000002);
             property.flags.writeable = !!(flags & 0x00000004);
@@ -3775,7 +5743,11 @@ export class MsgReader {
             }
 
             property.binData = new Uint8Array(value);
-            property.data = MsgReader.#readFieldData(property.typeStr, property.binData);
+
+            // fixed length values are stored inline, variable length and multi-valued properties hold the size of their stream
+            if (MsgReader.CONST.MSG.FIELD.FIXED_TYPE_SIZE[property.typeStr] <= 8) {
+                property.data = MsgReader.#readFieldData(property.typeStr, property.binData);
+            }
 
             // write to object
             values[fieldName] = property;
@@ -3797,39 +5769,72 @@ export class MsgReader {
         }
 
         switch (ftype.toLowerCase()) {
-            case '0040': return MsgReader.#convertFiletimeToDateTime(binaryData);
-            case '0001': return null;
+            case '0000': return null; // Unspecified
+            case '0001': return null; // Null
             case '0002': return MsgReader.#uint8ArrayToInt(binaryData, 16, true); // Integer 16-bit signed
             case '0003': return MsgReader.#uint8ArrayToInt(binaryData, 32, true); // Integer 32-bit signed
+            case '0004': return MsgReader.#uint8ArrayToFloat(binaryData, 32); // Floating 32-bit
+            case '0005': return MsgReader.#uint8ArrayToFloat(binaryData, 64); // Floating 64-bit
+            case '0006': return Number(MsgReader.#uint8ArrayToInt(binaryData, 64, true)) / 10000; // Currency: 64-bit integer, scaled by 10'000
+            case '0007': return MsgReader.#convertFloatingTimeToDateTime(MsgReader.#uint8ArrayToFloat(binaryData, 64)); // Floating time (PT_APPTIME)
+            case '000a': return MsgReader.#uint8ArrayToInt(binaryData, 32, false); // Error code (SCODE)
+            case '000b': return MsgReader.#uint8ArrayToInt(binaryData, 16, false) !== 0; // Boolean
             case '0014': return MsgReader.#uint8ArrayToInt(binaryData, 64, true); // Integer 64-bit signed
-            case '000b': return MsgReader.#uint8ArrayToInt(binaryData, 64, true) !== 0; // Boolean
+            case '0040': return MsgReader.#convertFiletimeToDateTime(binaryData); // Time
+            case '0048': return binaryData.length >= 16 ? MsgReader.#convertGuid(binaryData) : null; // GUID (PT_CLSID)
         }
 
         return null;
     }
 
-    static #fieldsDataDirInner(ds, msgData, dirProperty, fields) {
+    /**
+     * read the values of a multi-valued fixed length property, stored one after the other in a single stream
+     * @param {String} ftype type of a single value, without the multi-valued flag
+     * @param {Uint8Array} binaryData
+     * @returns {Array}
+     */
+    static #readMultiValuedFieldData(ftype, binaryData) {
+        const size = MsgReader.CONST.MSG.FIELD.FIXED_TYPE_SIZE[ftype], values = [];
+
+        for (let offset = 0; binaryData && size && offset + size <= binaryData.length; offset += size) {
+            values.push(MsgReader.#readFieldData(ftype, binaryData.subarray(offset, offset + size)));
+        }
+
+        return values;
+    }
+
+    static #fieldsDataDirInner(ds, msgData, dirProperty, fields, codePages) {
         if (dirProperty.name.indexOf(MsgReader.CONST.MSG.FIELD.PREFIX.ATTACHMENT) === 0) {
 
             // attachment
             let attachmentField = {};
             fields.attachments.push(attachmentField);
-            MsgReader.#fieldsDataDir(ds, msgData, dirProperty, attachmentField);
+            MsgReader.#fieldsDataDir(ds, msgData, dirProperty, attachmentField, MsgReader.CONST.MSG.FIELD.STORAGE_TYPE.ATTACHMENT, codePages);
         } else if (dirProperty.name.indexOf(MsgReader.CONST.MSG.FIELD.PREFIX.RECIPIENT) === 0) {
 
             // recipient
             let recipientField = {};
             fields.recipients.push(recipientField);
-            MsgReader.#fieldsDataDir(ds, msgData, dirProperty, recipientField);
+            MsgReader.#fieldsDataDir(ds, msgData, dirProperty, recipientField, MsgReader.CONST.MSG.FIELD.STORAGE_TYPE.RECIPIENT, codePages);
+        } else if (dirProperty.name === MsgReader.CONST.MSG.FIELD.PREFIX.NAMEID) {
+
+            // named property mapping, read by #namedPropertiesData()
+
         } else {
 
             // other dir
             let childFieldType = MsgReader.#getFieldType(dirProperty);
             if (childFieldType !== MsgReader.CONST.MSG.FIELD.DIR_TYPE.INNER_MSG) {
-                MsgReader.#fieldsDataDir(ds, msgData, dirProperty, fields);
+                MsgReader.#fieldsDataDir(ds, msgData, dirProperty, fields, null, codePages);
             } else {
-                // MSG as attachment currently isn't supported
+                // MSG as attachment: the storage holds a complete message
+                let innerMsgFields = {
+                    attachments: [],
+                    recipients: []
+                };
                 fields.innerMsgContent = true;
+                fields.innerMsgContentFields = innerMsgFields;
+                MsgReader.#fieldsDataDir(ds, msgData, dirProperty, innerMsgFields, MsgReader.CONST.MSG.FIELD.STORAGE_TYPE.INNER_MSG, codePages);
             }
         }
     }
@@ -3838,11 +5843,17 @@ export class MsgReader {
         return fieldName !== 'Body' || fieldTypeMapped !== 'binary';
     }
 
-    static #fieldsDataDocument(ds, msgData, documentProperty, fields) {
+    static #fieldsDataDocument(ds, msgData, documentProperty, fields, codePages, documentProperties={}) {
         let value = documentProperty.name.substring(12).toLowerCase();
+
+        // value streams of multi-valued properties (-0000000N) are read with their length stream
+        if (value.length > 8) {
+            return;
+        }
+
         let fieldClass = value.substring(0, 4);
         let fieldType = value.substring(4, 8);
-        let fieldName = MsgReader.#getMapiFieldName(fieldClass) ?? 'unknown_'+fieldClass;
+        let fieldName = MsgReader.#getMapiFieldName(fieldClass, msgData.namedProperties) ?? 'unknown_'+fieldClass;
         let suffix='', offset=1;
 
         while (fields[fieldName + suffix]) {
@@ -3856,10 +5867,18 @@ export class MsgReader {
         let fieldTypeMapped = MsgReader.CONST.MSG.FIELD.TYPE_MAPPING[fieldType];
 
         if (fieldName) {
-            let fieldValue = MsgReader.#getFieldValue(ds, msgData, documentProperty, fieldTypeMapped ?? 'binary');
 
-            if (MsgReader.#isAddPropertyValue(fieldName, fieldTypeMapped)) {
-                fields[fieldName] = MsgReader.#applyValueConverter(fieldName, fieldTypeMapped, fieldValue);
+            if (parseInt(fieldType, 16) & MsgReader.CONST.MSG.FIELD.MULTI_VALUED_FLAG) {
+                fields[fieldName] = MsgReader.#readMultiValuedField(ds, msgData, documentProperty, fieldType, codePages, documentProperties);
+
+            } else {
+
+                // 8-bit strings are read as binary and decoded with the code page of the message
+                let fieldValue = MsgReader.#getFieldValue(ds, msgData, documentProperty, fieldTypeMapped && fieldTypeMapped !== 'string' ? fieldTypeMapped : 'binary');
+
+                if (MsgReader.#isAddPropertyValue(fieldName, fieldTypeMapped)) {
+                    fields[fieldName] = MsgReader.#applyValueConverter(fieldName, fieldType, fieldTypeMapped, fieldValue, codePages);
+                }
             }
 
         }
@@ -3873,6 +5892,54 @@ export class MsgReader {
         }
     }
 
+    /**
+     * read a multi-valued property
+     * fixed length values are stored in a single stream, variable length values in one stream per value,
+     * the length stream holds one entry per value (4 bytes for strings, 8 bytes for binaries and server ids)
+     * @param {DataStream} ds
+     * @param {Object} msgData
+     * @param {Object} documentProperty the length stream
+     * @param {String} fieldType type including the multi-valued flag
+     * @param {Object} codePages
+     * @param {Object} documentProperties streams of the storage by lower case name
+     * @returns {Array}
+     */
+    static #readMultiValuedField(ds, msgData, documentProperty, fieldType, codePages, documentProperties) {
+        const valueType = (parseInt(fieldType, 16) & ~MsgReader.CONST.MSG.FIELD.MULTI_VALUED_FLAG).toString(16).padStart(4, '0'),
+                binaryData = MsgReader.#getFieldValue(ds, msgData, documentProperty, 'binary'),
+                values = [];
+
+        if (MsgReader.CONST.MSG.FIELD.FIXED_TYPE_SIZE[valueType]) {
+            return MsgReader.#readMultiValuedFieldData(valueType, binaryData);
+        }
+
+        const valueTypeMapped = MsgReader.CONST.MSG.FIELD.TYPE_MAPPING[valueType] ?? 'binary',
+                entrySize = valueTypeMapped === 'binary' ? 8 : 4,
+                count = binaryData ? Math.floor(binaryData.length / entrySize) : 0;
+
+        for (let i = 0; i < count; i++) {
+            let valueProperty = documentProperties[documentProperty.name.toLowerCase() + '-' + i.toString(16).padStart(8, '0')],
+                    value = null;
+
+            if (valueProperty) {
+                value = MsgReader.#getFieldValue(ds, msgData, valueProperty, valueTypeMapped !== 'string' ? valueTypeMapped : 'binary');
+            }
+
+            // string values are stored including the terminating null character
+            if (valueTypeMapped === 'string') {
+                value = value ? Charset.decode(value, Charset.fromCodePage(codePages.message)).replace(/\0+$/, '') : '';
+            } else if (valueTypeMapped === 'unicode') {
+                value = value ? value.replace(/\0+$/, '') : '';
+            } else if (value === null) {
+                value = new Uint8Array(0);
+            }
+
+            values.push(value);
+        }
+
+        return values;
+    }
+
     /**
      * converts a windows timestamp to a Date object
      * @param {uint8Array} filetime
@@ -3880,14 +5947,14 @@ export class MsgReader {
      */
     static #convertFiletimeToDateTime(filetime) {
         // Extract low and high parts from the Uint8Array
-        const lowPart = filetime[0] |
+        const lowPart = (filetime[0] |
           (filetime[1] << 8) |
           (filetime[2] << 16) |
-          (filetime[3] << 24);
-        const highPart = filetime[4] |
+          (filetime[3] << 24)) >>> 0;
+        const highPart = (filetime[4] |
           (filetime[5] << 8) |
           (filetime[6] << 16) |
-          (filetime[7] << 24);
+          (filetime[7] << 24)) >>> 0;
 
         // Combine low and high parts to get the full 64-bit value
         const filetimeValue = (BigInt(highPart) << BigInt(32)) | BigInt(lowPart);
@@ -3907,20 +5974,80 @@ export class MsgReader {
         return date;
     }
 
+    /**
+     * converts a floating time (PT_APPTIME) to a Date object
+     * @param {Number} floatingTime days since December 30, 1899 with the time as fraction
+     * @returns {Date}
+     */
+    static #convertFloatingTimeToDateTime(floatingTime) {
+        return new Date(Date.UTC(1899, 11, 30) + Math.round(floatingTime * 86400000));
+    }
+
     /**
      * get infos about a mapi field
+     * @param {String} fieldClass property id as hex string
+     * @param {Object|null} namedProperties named properties (0x8000 and above) are assigned per file
+     * @returns {String|null}
      */
-    static #getMapiFieldName(fieldClass) {
-        return MsgReader.CONST.MSG.FIELD.MAPI_PROPERTIES['0x' + fieldClass.toLowerCase()] ?? null;
+    static #getMapiFieldName(fieldClass, namedProperties=null) {
+        const propertyId = '0x' + fieldClass.toLowerCase();
+
+        if (namedProperties && namedProperties[propertyId] && namedProperties[propertyId].fieldName) {
+            return namedProperties[propertyId].fieldName;
+        }
+
+        return MsgReader.CONST.MSG.FIELD.MAPI_PROPERTIES[propertyId] ?? null;
     }
 
-    static #applyValueConverter(fieldName, fieldTypeMapped, fieldValue) {
+    static #applyValueConverter(fieldName, fieldType, fieldTypeMapped, fieldValue, codePages) {
+        if (fieldValue && MsgReader.CONST.MSG.FIELD.FIXED_TYPE_SIZE[fieldType]) {
+            return MsgReader.#readFieldData(fieldType, fieldValue);
+        }
+        if (fieldTypeMapped === 'string') {
+            return fieldValue ? Charset.decode(fieldValue, Charset.fromCodePage(codePages.message)) : fieldValue;
+        }
         if (fieldTypeMapped === 'binary' && fieldName === 'BodyHtml') {
-            return MsgReader.#convertUint8ArrayToString(fieldValue);
+            return MsgReader.#convertHtmlToString(fieldValue, codePages);
         }
         return fieldValue;
     }
 
+    /**
+     * the html body is exported as utf-8, a charset of the meta tag is replaced accordingly
+     * @param {String} html
+     * @returns {String}
+     */
+    static #setHtmlCharset(html) {
+        return html.replace(/(<meta[^>]+charset\s*=\s*["']?)[a-z0-9_\-:.]+/i, '$1utf-8');
+    }
+
+    /**
+     * decodes the html body: PR_INTERNET_CPID, the charset of the meta tag, the message code page or utf-8
+     * @param {Uint8Array} htmlValue
+     * @param {Object} codePages
+     * @returns {String}
+     */
+    static #convertHtmlToString(htmlValue, codePages) {
+        let charset = codePages.internet ? Charset.fromCodePage(codePages.internet) : null;
+
+        if (!charset && htmlValue) {
+            const head = Charset.decode(htmlValue.subarray(0, 2048), 'windows-1252');
+            const metaMatch = head.match(/<meta[^>]+charset\s*=\s*["']?([a-z0-9_\-:.]+)/i);
+            if (metaMatch) {
+                charset = metaMatch[1];
+            }
+        }
+
+        if (!charset && codePages.message) {
+            charset = Charset.fromCodePage(codePages.message);
+        }
+
+        if (!charset) {
+            return MsgReader.#convertUint8ArrayToString(htmlValue);
+        }
+        return Charset.decode(htmlValue, charset);
+    }
+
     static #getFieldType(fieldProperty) {
         let value = fieldProperty.name.substring(12).toLowerCase();
         return value.substring(4, 8);
@@ -4001,19 +6128,19 @@ export class MsgReader {
                 value = signed ? dataView.getInt8(0) : dataView.getUint8(0);
                 break;
             case 16:
-                value = signed ? dataView.getInt16(0) : dataView.getUint16(0);
+                value = signed ? dataView.getInt16(0, true) : dataView.getUint16(0, true);
                 break;
             case 32:
-                value = signed ? dataView.getInt32(0) : dataView.getUint32(0);
+                value = signed ? dataView.getInt32(0, true) : dataView.getUint32(0, true);
                 break;
             case 64:
                 if (signed) {
-                    const high = dataView.getInt32(0);
-                    const low = dataView.getUint32(4);
+                    const high = dataView.getInt32(4, true);
+                    const low = dataView.getUint32(0, true);
                     value = BigInt(low) + (BigInt(high) << BigInt(32));
                 } else {
-                    const high = dataView.getUint32(0);
-                    const low = dataView.getUint32(4);
+                    const high = dataView.getUint32(4, true);
+                    const low = dataView.getUint32(0, true);
                     value = BigInt(low) + (BigInt(high) << BigInt(32));
                 }
                 break;
@@ -4021,4 +6148,15 @@ export class MsgReader {
 
         return value;
     }
+
+    /**
+     * reads a little-endian IEEE 754 floating point number
+     * @param {Uint8Array} uint8Array
+     * @param {Number} size 32 or 64
+     * @returns {Number}
+     */
+    static #uint8ArrayToFloat(uint8Array, size) {
+        const dataView = new DataView(new Uint8Array(uint8Array.subarray(0, size/8)).buffer);
+        return size === 32 ? dataView.getFloat32(0, true) : dataView.getFloat64(0, true);
+    }
 }
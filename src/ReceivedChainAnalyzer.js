@@ -0,0 +1,261 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {HeaderParser} from './HeaderParser.js';
+
+/*
+ Analyzes the Received headers of a message: every hop is split into hosts, IP addresses, protocol and TLS information,
+ the delay between the hops is calculated and anomalies (time order, private IP addresses) are flagged.
+ */
+export class ReceivedChainAnalyzer {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * analyzes the Received headers
+     * @param {Array} receivedHeaders values of the Received headers, the most recent first (as in the header block)
+     * @returns {Array} hops in transport order, the first hop is the one closest to the sender:
+     *          [{fromHost, fromHelo, fromIp, byHost, ips, protocol, tls, id, for, date, delay, anomalies, raw}]
+     *          tls: {version, cipher, bits} or null, delay: seconds since the previous hop or null,
+     *          anomalies: missingDate, timeOrder (received before the previous hop), privateIpGap (private address between public hops)
+     */
+    static analyze(receivedHeaders) {
+        const hops = receivedHeaders.map((value) => ReceivedChainAnalyzer.#analyzeHop(HeaderParser.parseReceived(value))).reverse(),
+                anomalies = ReceivedChainAnalyzer.CONST.ANOMALIES;
+        let previousDate = null;
+
+        for (const hop of hops) {
+            if (!hop.date) {
+                hop.anomalies.push(anomalies.MISSING_DATE);
+
+            } else if (previousDate) {
+                hop.delay = (hop.date.getTime() - previousDate.getTime()) / 1000;
+
+                // a hop received before the previous hop: clock skew or a forged header
+                if (hop.delay < 0) {
+                    hop.anomalies.push(anomalies.TIME_ORDER);
+                }
+            }
+            previousDate = hop.date ?? previousDate;
+        }
+
+        // a private sender address between public hops: the internal hops of the sending and receiving organization
+        // are at the start and the end of the chain, a private address inside the public path is suspicious
+        const isPublic = (hop) => hop.fromIp && !ReceivedChainAnalyzer.isPrivateIp(hop.fromIp),
+                firstPublic = hops.findIndex(isPublic),
+                lastPublic = hops.findLastIndex(isPublic);
+
+        for (let i = firstPublic + 1; i < lastPublic; i++) {
+            if (hops[i].fromIp && ReceivedChainAnalyzer.isPrivateIp(hops[i].fromIp)) {
+                hops[i].anomalies.push(anomalies.PRIVATE_IP_GAP);
+            }
+        }
+
+        return hops;
+    }
+
+    /**
+     * checks if an IP address is in a private, loopback, link-local or shared address range
+     * @param {String} ip IPv4 or IPv6 address
+     * @returns {Boolean}
+     */
+    static isPrivateIp(ip) {
+        const ipv4 = ReceivedChainAnalyzer.#parseIpv4(ip.replace(/^::ffff:/i, ''));
+        if (ipv4) {
+            const [a, b] = ipv4;
+            return a === 10 || a === 127 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168)
+                    || (a === 169 && b === 254) || (a === 100 && b >= 64 && b <= 127) || a === 0;
+        }
+
+        const ipv6 = ip.toLowerCase();
+        return ipv6 === '::1' || ipv6 === '::' || /^f[cd][0-9a-f]{2}:/.test(ipv6) || /^fe[89ab][0-9a-f]:/.test(ipv6);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            ANOMALIES: {
+                MISSING_DATE: 'missingDate',
+                TIME_ORDER: 'timeOrder',
+                PRIVATE_IP_GAP: 'privateIpGap'
+            },
+            // at least two labels of letters, digits, hyphens and underscores, optionally with a trailing dot
+            HOST_NAME: /^(?:[a-z0-9_](?:[a-z0-9_-]*[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.?$/i,
+            // protocol types with TLS (RFC 3848, RFC 6531)
+            TLS_PROTOCOLS: /^(?:e?smtp|utf8smtp|lmtp|utf8lmtp)sa?$/i
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * @param {Object} received parsed Received header
+     * @returns {Object}
+     */
+    static #analyzeHop(received) {
+        const fromWords = ReceivedChainAnalyzer.#splitClause(received.from),
+                byWords = ReceivedChainAnalyzer.#splitClause(received.by),
+                withWords = ReceivedChainAnalyzer.#splitClause(received.with),
+                // the address of the connection is in the comment, the helo may be a (forged) address literal
+                fromIps = [...new Set(ReceivedChainAnalyzer.#findIps(fromWords.comments.join(' ')).concat(ReceivedChainAnalyzer.#findIps(received.from)))],
+                commentHelo = fromWords.comments.join(' ').match(/\bhelo[=\s]+([^\s()[\]]+)/i),
+                helo = commentHelo ? commentHelo[1] : fromWords.words[0] ?? null,
+                // Exim appends the cipher to the protocol: with esmtps tls TLS_AES_256_GCM_SHA384
+                tlsIndex = withWords.words.findIndex((word) => word.toLowerCase() === 'tls'),
+                protocol = (tlsIndex === -1 ? withWords.words : withWords.words.slice(0, tlsIndex)).join(' ') || null,
+                comments = ['from', 'by', 'via', 'with', 'id', 'for'].flatMap((clause) => ReceivedChainAnalyzer.#splitClause(received[clause]).comments);
+
+        // the reverse DNS name is the first word of the comment: from helo (host.example.com [192.0.2.1]),
+        // if the comment holds the helo, it is the word before: from host.example.com ([192.0.2.1] helo=helo) (Exim)
+        const reverseName = commentHelo ? fromWords.words[0] ?? null
+                : fromWords.comments.length > 0 ? fromWords.comments[0].split(/[\s[\]()]+/).find((word) => word) ?? null : null;
+
+        return {
+            fromHost: ReceivedChainAnalyzer.#getHostName(reverseName) ?? ReceivedChainAnalyzer.#getHostName(helo),
+            fromHelo: helo,
+            fromIp: fromIps[0] ?? null,
+            byHost: ReceivedChainAnalyzer.#getHostName(byWords.words[0] ?? null),
+            ips: [...new Set(fromIps.concat(ReceivedChainAnalyzer.#findIps(received.by)))],
+            protocol: protocol,
+            tls: ReceivedChainAnalyzer.#getTls(comments, protocol, tlsIndex !== -1 ? withWords.words[tlsIndex + 1] ?? null : null),
+            id: received.id ? ReceivedChainAnalyzer.#splitClause(received.id).words[0] ?? null : null,
+            for: received.for ? (ReceivedChainAnalyzer.#splitClause(received.for).words[0] ?? '').replace(/^<|>$/g, '') || null : null,
+            date: received.date,
+            delay: null,
+            anomalies: [],
+            raw: received.raw
+        };
+    }
+
+    /**
+     * splits a clause into words and comments
+     * @param {String|null} clause
+     * @returns {Object} {words, comments}
+     */
+    static #splitClause(clause) {
+        const words = [], comments = [];
+        let depth = 0, current = '';
+
+        for (const c of clause ?? '') {
+            if (c === '(') {
+                if (depth === 0 && current.trim()) {
+                    words.push(...current.trim().split(/\s+/));
+                    current = '';
+                }
+                depth++;
+                if (depth === 1) {
+                    continue;
+                }
+            } else if (c === ')' && depth > 0) {
+                depth--;
+                if (depth === 0) {
+                    comments.push(current.trim());
+                    current = '';
+                    continue;
+                }
+            }
+            current += c;
+        }
+
+        if (depth === 0 && current.trim()) {
+            words.push(...current.trim().split(/\s+/));
+        }
+        return {words: words, comments: comments};
+    }
+
+    /**
+     * returns all IP addresses of a clause, e.g. [192.0.2.1], [IPv6:2001:db8::1] or (2001:db8::1)
+     * @param {String|null} clause
+     * @returns {Array}
+     */
+    static #findIps(clause) {
+        const ips = [];
+
+        for (let word of (clause ?? '').split(/[\s()[\],;=]+/)) {
+            word = word.replace(/^ipv6:/i, '');
+            if (ReceivedChainAnalyzer.#parseIpv4(word) || ReceivedChainAnalyzer.#isIpv6(word)) {
+                if (!ips.includes(word)) {
+                    ips.push(word);
+                }
+            }
+        }
+
+        return ips;
+    }
+
+    /**
+     * returns the TLS information of the comments, e.g. (version=TLS1_3 cipher=TLS_AES_256_GCM_SHA384 bits=256/256),
+     * (using TLSv1.3 with cipher TLS_AES_256_GCM_SHA384 (256/256 bits)) or (TLS1.2:ECDHE_RSA_AES_128_GCM_SHA256:128) (Exim)
+     * @param {Array} comments comments of the clauses
+     * @param {String|null} protocol
+     * @param {String|null} eximCipher cipher following the protocol, e.g. with esmtps tls TLS_AES_256_GCM_SHA384
+     * @returns {Object|null} {version, cipher, bits}
+     */
+    static #getTls(comments, protocol, eximCipher) {
+        const str = comments.join(' '),
+                exim = comments.map((comment) => comment.match(/^(TLS ?v?1(?:[._]\d)?|SSL ?v?[23])(?::([A-Z0-9_-]+)(?::(\d+))?)?$/i)).find((match) => match),
+                version = str.match(/(?:\bversion=|\busing )(TLS ?v?1(?:[._]\d)?|SSL ?v?[23])\b/i) ?? exim,
+                cipher = str.match(/\bcipher[=\s]+([A-Z0-9_-]+)/i),
+                bits = str.match(/\bbits=(\d+)/i) ?? str.match(/\((\d+)\/\d+ bits\)/i);
+
+        if (!version && !cipher && !eximCipher && !(protocol && ReceivedChainAnalyzer.CONST.TLS_PROTOCOLS.test(protocol))) {
+            return null;
+        }
+
+        return {
+            version: version ? version[1] : null,
+            cipher: cipher ? cipher[1] : eximCipher ?? (exim ? exim[2] ?? null : null),
+            bits: bits ? parseInt(bits[1]) : (exim && exim[3] ? parseInt(exim[3]) : null)
+        };
+    }
+
+    /**
+     * returns the name if it is a bare host name, null for address literals, placeholders like 'unknown' and other words
+     * @param {String|null} name
+     * @returns {String|null}
+     */
+    static #getHostName(name) {
+        if (!name || !ReceivedChainAnalyzer.CONST.HOST_NAME.test(name) || ReceivedChainAnalyzer.#parseIpv4(name)) {
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * @param {String} str
+     * @returns {Array|null} the four octets or null if str is not an IPv4 address
+     */
+    static #parseIpv4(str) {
+        const match = str.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (!match) {
+            return null;
+        }
+        const octets = match.slice(1).map((octet) => parseInt(octet));
+        return octets.every((octet) => octet <= 255) ? octets : null;
+    }
+
+    /**
+     * @param {String} str
+     * @returns {Boolean}
+     */
+    static #isIpv6(str) {
+        // compressed (::) or full form, optionally with an embedded IPv4 address
+        return /^[0-9a-f:]+(?::\d{1,3}(?:\.\d{1,3}){3})?$/i.test(str) && (str.includes('::') || str.split(':').length === 8)
+                && str.split(':').length <= 8;
+    }
+}
@@ -0,0 +1,398 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {DataStream} from './DataStream.js';
+import {Charset} from './Charset.js';
+
+/*
+ Decoder for recurrence patterns of calendar items (MS-OXOCAL)
+ */
+export class RecurrenceDecoder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decodes a RecurrencePattern structure (MS-OXOCAL 2.2.1.44.1)
+     * @param {Uint8Array} data
+     * @returns {Object} {frequency, patternType, calendarType, period, interval, daysOfWeek, dayOfMonth, nthWeek, endType, occurrenceCount, firstDayOfWeek, deletedInstanceDates, modifiedInstanceDates, startDate, endDate}
+     */
+    static decode(data) {
+        const ds = new DataStream(data, 0, DataStream.LITTLE_ENDIAN);
+        ds.seek(0);
+
+        if (data.length < 22) {
+            throw new Error('invalid recurrence pattern');
+        }
+
+        return RecurrenceDecoder.#decodePattern(ds);
+    }
+
+    /**
+     * decodes an AppointmentRecurrencePattern structure (MS-OXOCAL 2.2.1.44.5), the recurrence of PidLidAppointmentRecur.
+     * Adds the time of the occurrences and the modified instances (exceptions) to the RecurrencePattern.
+     * @param {Uint8Array} data
+     * @param {String|null} charset charset of the 8-bit subject and location of exceptions without unicode values
+     * @returns {Object} {..., startTimeOffset, endTimeOffset, exceptions: [{startDate, endDate, originalStartDate, subject, location, ...}]}
+     */
+    static decodeAppointment(data, charset=null) {
+        const ds = new DataStream(data, 0, DataStream.LITTLE_ENDIAN),
+                flags = RecurrenceDecoder.CONST.OVERRIDE_FLAGS;
+        ds.seek(0);
+
+        if (data.length < 22) {
+            throw new Error('invalid recurrence pattern');
+        }
+
+        const pattern = RecurrenceDecoder.#decodePattern(ds);
+
+        pattern.readerVersion2 = ds.readUint32();
+        pattern.writerVersion2 = ds.readUint32();
+        pattern.startTimeOffset = ds.readUint32();
+        pattern.endTimeOffset = ds.readUint32();
+        pattern.exceptions = [];
+
+        const exceptionCount = ds.readUint16();
+
+        // ExceptionInfo: the overridden properties with 8-bit strings
+        for (let i = 0; i < exceptionCount; i++) {
+            const exception = {
+                startDate: RecurrenceDecoder.minutesToDate(ds.readUint32()),
+                endDate: RecurrenceDecoder.minutesToDate(ds.readUint32()),
+                originalStartDate: RecurrenceDecoder.minutesToDate(ds.readUint32()),
+                overrideFlags: ds.readUint16(),
+                subject: null,
+                meetingType: null,
+                reminderDelta: null,
+                reminderSet: null,
+                location: null,
+                busyStatus: null,
+                attachment: null,
+                subType: null,
+                appointmentColor: null,
+                changeHighlight: null
+            };
+
+            if (exception.overrideFlags & flags.SUBJECT) {
+                ds.readUint16(); // SubjectLength
+                exception.subject = Charset.decode(ds.readUint8Array(ds.readUint16()), charset);
+            }
+            if (exception.overrideFlags & flags.MEETING_TYPE) {
+                exception.meetingType = ds.readUint32();
+            }
+            if (exception.overrideFlags & flags.REMINDER_DELTA) {
+                exception.reminderDelta = ds.readInt32();
+            }
+            if (exception.overrideFlags & flags.REMINDER) {
+                exception.reminderSet = ds.readUint32() !== 0;
+            }
+            if (exception.overrideFlags & flags.LOCATION) {
+                ds.readUint16(); // LocationLength
+                exception.location = Charset.decode(ds.readUint8Array(ds.readUint16()), charset);
+            }
+            if (exception.overrideFlags & flags.BUSY_STATUS) {
+                exception.busyStatus = ds.readUint32();
+            }
+            if (exception.overrideFlags & flags.ATTACHMENT) {
+                exception.attachment = ds.readUint32() !== 0;
+            }
+            if (exception.overrideFlags & flags.SUB_TYPE) {
+                exception.subType = ds.readUint32() !== 0;
+            }
+            if (exception.overrideFlags & flags.APPOINTMENT_COLOR) {
+                exception.appointmentColor = ds.readUint32();
+            }
+
+            pattern.exceptions.push(exception);
+        }
+
+        // ReservedBlock1
+        RecurrenceDecoder.#skipReservedBlock(ds);
+
+        // ExtendedException: unicode subject and location, written by newer clients
+        for (let i = 0; i < exceptionCount && !ds.isEof(); i++) {
+            const exception = pattern.exceptions[i];
+
+            if (pattern.writerVersion2 >= RecurrenceDecoder.CONST.WRITER_VERSION_CHANGE_HIGHLIGHT) {
+                const changeHighlightSize = ds.readUint32();
+                if (changeHighlightSize >= 4) {
+                    exception.changeHighlight = ds.readUint32();
+                    ds.seek(ds.position + changeHighlightSize - 4);
+                }
+            }
+
+            // ReservedBlockEE1
+            RecurrenceDecoder.#skipReservedBlock(ds);
+
+            if (exception.overrideFlags & (flags.SUBJECT | flags.LOCATION)) {
+                ds.seek(ds.position + 12); // StartDateTime, EndDateTime, OriginalStartDate
+
+                if (exception.overrideFlags & flags.SUBJECT) {
+                    exception.subject = ds.readUCS2String(ds.readUint16(), DataStream.LITTLE_ENDIAN);
+                }
+                if (exception.overrideFlags & flags.LOCATION) {
+                    exception.location = ds.readUCS2String(ds.readUint16(), DataStream.LITTLE_ENDIAN);
+                }
+
+                // ReservedBlockEE2
+                RecurrenceDecoder.#skipReservedBlock(ds);
+            }
+        }
+
+        // the deleted instances contain the original date of the modified instances as well
+        const modifiedDays = pattern.exceptions.map((exception) => RecurrenceDecoder.#getDay(exception.originalStartDate));
+        pattern.deletedInstanceDates = pattern.deletedInstanceDates.filter((date) => !modifiedDays.includes(RecurrenceDecoder.#getDay(date)));
+
+        return pattern;
+    }
+
+    /**
+     * converts a pattern to a RRULE value (RFC 5545), Hijri patterns with RSCALE=ISLAMIC-CIVIL (RFC 7529)
+     * @param {Object} pattern decoded pattern
+     * @param {Date|null} until start of the last occurrence in UTC, the end date of the pattern is used otherwise
+     * @param {Boolean} dateOnly UNTIL is given as DATE, for occurrences without time (e.g. tasks)
+     * @returns {String}
+     */
+    static toRRule(pattern, until=null, dateOnly=false) {
+        const hijri = pattern.patternType.startsWith('HJ_'),
+                month = hijri ? RecurrenceDecoder.#getHijriMonth(pattern.startDate) : pattern.startDate.getUTCMonth() + 1,
+                rule = ['FREQ=' + pattern.frequency];
+
+        // day and month of Hijri patterns are given in the Hijri calendar (RFC 7529)
+        if (hijri) {
+            rule.unshift('RSCALE=ISLAMIC-CIVIL');
+        }
+
+        if (pattern.interval > 1) {
+            rule.push('INTERVAL=' + pattern.interval);
+        }
+
+        switch (pattern.patternType) {
+            case 'WEEK':
+                rule.push('BYDAY=' + pattern.daysOfWeek.join(','));
+                break;
+            case 'MONTH':
+            case 'HJ_MONTH':
+                if (pattern.frequency === 'YEARLY') {
+                    rule.push('BYMONTH=' + month);
+                }
+                rule.push('BYMONTHDAY=' + pattern.dayOfMonth);
+                break;
+            case 'MONTH_END':
+            case 'HJ_MONTH_END':
+                if (pattern.frequency === 'YEARLY') {
+                    rule.push('BYMONTH=' + month);
+                }
+                rule.push('BYMONTHDAY=-1');
+                break;
+            case 'MONTH_NTH':
+            case 'HJ_MONTH_NTH':
+                if (pattern.frequency === 'YEARLY') {
+                    rule.push('BYMONTH=' + month);
+                }
+                rule.push('BYDAY=' + pattern.daysOfWeek.join(','));
+                rule.push('BYSETPOS=' + (pattern.nthWeek === 5 ? -1 : pattern.nthWeek));
+                break;
+        }
+
+        if (pattern.endType === 'AFTER_N_OCCURRENCES') {
+            rule.push('COUNT=' + pattern.occurrenceCount);
+
+        } else if (pattern.endType === 'END_BY_DATE' && dateOnly && pattern.endDate) {
+            rule.push('UNTIL=' + pattern.endDate.toISOString().substring(0, 10).replace(/-/g, ''));
+
+        } else if (pattern.endType === 'END_BY_DATE' && (until || pattern.endDate)) {
+            until = until ?? new Date(pattern.endDate.getTime() + 86399000);
+            rule.push('UNTIL=' + until.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, ''));
+        }
+
+        if (pattern.frequency === 'WEEKLY' && pattern.firstDayOfWeek !== 'MO') {
+            rule.push('WKST=' + pattern.firstDayOfWeek);
+        }
+
+        return rule.join(';');
+    }
+
+    /**
+     * converts minutes since January 1, 1601 to a Date.
+     * Recurrence dates are given in the time zone of the appointment, the Date holds this local time as UTC.
+     * @param {Number} minutes
+     * @returns {Date}
+     */
+    static minutesToDate(minutes) {
+        return new Date(Date.UTC(1601, 0, 1) + minutes * 60000);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            FREQUENCY: {
+                DAILY: 0x200a,
+                WEEKLY: 0x200b,
+                MONTHLY: 0x200c,
+                YEARLY: 0x200d
+            },
+            PATTERN_TYPE: {
+                DAY: 0x0000,
+                WEEK: 0x0001,
+                MONTH: 0x0002,
+                MONTH_NTH: 0x0003,
+                MONTH_END: 0x0004,
+                HJ_MONTH: 0x000a,
+                HJ_MONTH_NTH: 0x000b,
+                HJ_MONTH_END: 0x000c
+            },
+            END_TYPE: {
+                END_BY_DATE: 0x2021,
+                AFTER_N_OCCURRENCES: 0x2022,
+                NEVER: 0x2023
+            },
+            OVERRIDE_FLAGS: {
+                SUBJECT: 0x0001,
+                MEETING_TYPE: 0x0002,
+                REMINDER_DELTA: 0x0004,
+                REMINDER: 0x0008,
+                LOCATION: 0x0010,
+                BUSY_STATUS: 0x0020,
+                ATTACHMENT: 0x0040,
+                SUB_TYPE: 0x0080,
+                APPOINTMENT_COLOR: 0x0100,
+                EXCEPTIONAL_BODY: 0x0200
+            },
+            DAYS: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+            NO_END_DATE: 0x5ae980df,
+            WRITER_VERSION_CHANGE_HIGHLIGHT: 0x3009
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * @param {DataStream} ds
+     * @returns {Object}
+     */
+    static #decodePattern(ds) {
+        const pattern = {
+            readerVersion: ds.readUint16(),
+            writerVersion: ds.readUint16(),
+            frequency: RecurrenceDecoder.#getKey(RecurrenceDecoder.CONST.FREQUENCY, ds.readUint16()),
+            patternType: RecurrenceDecoder.#getKey(RecurrenceDecoder.CONST.PATTERN_TYPE, ds.readUint16()),
+            calendarType: ds.readUint16(),
+            firstDateTime: ds.readUint32(),
+            period: ds.readUint32(),
+            slidingFlag: ds.readUint32() !== 0,
+            interval: 1,
+            daysOfWeek: [],
+            dayOfMonth: null,
+            nthWeek: null,
+            endType: null,
+            occurrenceCount: null,
+            firstDayOfWeek: null,
+            deletedInstanceDates: [],
+            modifiedInstanceDates: [],
+            startDate: null,
+            endDate: null
+        };
+
+        if (!pattern.frequency || !pattern.patternType) {
+            throw new Error('invalid recurrence pattern');
+        }
+
+        // the period of daily patterns is given in minutes, of yearly patterns in months
+        switch (pattern.frequency) {
+            case 'DAILY': pattern.interval = Math.max(1, Math.round(pattern.period / 1440)); break;
+            case 'YEARLY': pattern.interval = Math.max(1, Math.round(pattern.period / 12)); break;
+            default: pattern.interval = Math.max(1, pattern.period);
+        }
+
+        switch (pattern.patternType) {
+            case 'WEEK':
+                pattern.daysOfWeek = RecurrenceDecoder.#getDaysOfWeek(ds.readUint32());
+                break;
+            case 'MONTH':
+            case 'MONTH_END':
+            case 'HJ_MONTH':
+            case 'HJ_MONTH_END':
+                pattern.dayOfMonth = ds.readUint32();
+                break;
+            case 'MONTH_NTH':
+            case 'HJ_MONTH_NTH':
+                pattern.daysOfWeek = RecurrenceDecoder.#getDaysOfWeek(ds.readUint32());
+                pattern.nthWeek = ds.readUint32();
+                break;
+        }
+
+        pattern.endType = RecurrenceDecoder.#getKey(RecurrenceDecoder.CONST.END_TYPE, ds.readUint32()) ?? 'NEVER';
+        pattern.occurrenceCount = ds.readUint32();
+        pattern.firstDayOfWeek = RecurrenceDecoder.CONST.DAYS[ds.readUint32()] ?? 'SU';
+
+        const deletedInstanceCount = ds.readUint32();
+        for (let i = 0; i < deletedInstanceCount; i++) {
+            pattern.deletedInstanceDates.push(RecurrenceDecoder.minutesToDate(ds.readUint32()));
+        }
+
+        const modifiedInstanceCount = ds.readUint32();
+        for (let i = 0; i < modifiedInstanceCount; i++) {
+            pattern.modifiedInstanceDates.push(RecurrenceDecoder.minutesToDate(ds.readUint32()));
+        }
+
+        pattern.startDate = RecurrenceDecoder.minutesToDate(ds.readUint32());
+
+        const endDate = ds.readUint32();
+        pattern.endDate = endDate === RecurrenceDecoder.CONST.NO_END_DATE ? null : RecurrenceDecoder.minutesToDate(endDate);
+
+        return pattern;
+    }
+
+    /**
+     * @param {Number} bitmask bit 0 is sunday
+     * @returns {Array} e.g. ['MO', 'WE']
+     */
+    static #getDaysOfWeek(bitmask) {
+        return RecurrenceDecoder.CONST.DAYS.filter((day, i) => bitmask & (1 << i));
+    }
+
+    /**
+     * skips a reserved block, prefixed with its size
+     * @param {DataStream} ds
+     */
+    static #skipReservedBlock(ds) {
+        const size = ds.readUint32();
+        ds.seek(ds.position + size);
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {Number} days since January 1, 1970
+     */
+    static #getDay(date) {
+        return Math.floor(date.getTime() / 86400000);
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {Number} month of the date in the tabular Islamic calendar, 1 to 12
+     */
+    static #getHijriMonth(date) {
+        const parts = new Intl.DateTimeFormat('en-u-ca-islamic-civil', {month: 'numeric', timeZone: 'UTC'}).formatToParts(date);
+        return parseInt(parts.find((part) => part.type === 'month').value);
+    }
+
+    static #getKey(map, value) {
+        return Object.keys(map).find((key) => map[key] === value) ?? null;
+    }
+}
@@ -0,0 +1,401 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {DataStream} from './DataStream.js';
+import {Charset} from './Charset.js';
+
+/*
+ RTF Decoder
+ */
+export class RtfDecoder {
+    static #crcTable = null;
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decompresses a PR_RTF_COMPRESSED stream
+     * https://learn.microsoft.com/en-us/openspecs/exchange_server_protocols/ms-oxrtfcp/65dfe2df-1b69-43fc-8ebd-21819a7463fb
+     * @param {Uint8Array} data
+     * @returns {String} the rtf document
+     */
+    static decompress(data) {
+        const ds = new DataStream(data, 0, DataStream.LITTLE_ENDIAN);
+        ds.seek(0);
+
+        const compSize = ds.readUint32(),
+                rawSize = ds.readUint32(),
+                compType = ds.readUint32(),
+                crc = ds.readUint32(),
+                end = Math.min(compSize + 4, data.length);
+
+        if (compType === RtfDecoder.CONST.COMP_TYPE.UNCOMPRESSED) {
+            return RtfDecoder.#bytesToString(data.subarray(16, 16 + rawSize));
+
+        } else if (compType !== RtfDecoder.CONST.COMP_TYPE.COMPRESSED) {
+            throw new Error('invalid rtf compression type');
+        }
+
+        if (RtfDecoder.#crc32(data, 16, end) !== crc) {
+            throw new Error('invalid rtf crc');
+        }
+
+        // the dictionary is initialized with a preset of common rtf tokens
+        const dict = new Uint8Array(RtfDecoder.CONST.DICT_SIZE),
+                output = new Uint8Array(rawSize);
+        let writePos = RtfDecoder.CONST.PREBUF.length, outPos = 0, pos = 16;
+
+        for (let i = 0; i < writePos; i++) {
+            dict[i] = RtfDecoder.CONST.PREBUF.charCodeAt(i);
+        }
+
+        while (pos < end) {
+            const control = data[pos++];
+
+            for (let bit = 0; bit < 8 && pos < end; bit++) {
+                if (control & (1 << bit)) {
+
+                    // dictionary reference: 12 bit offset, 4 bit length
+                    const token = (data[pos] << 8) | data[pos + 1];
+                    let offset = token >> 4;
+                    const length = (token & 0x0f) + 2;
+                    pos += 2;
+
+                    if (offset === writePos) {
+                        return RtfDecoder.#bytesToString(output.subarray(0, outPos));
+                    }
+
+                    for (let j = 0; j < length; j++) {
+                        const byte = dict[offset];
+                        offset = (offset + 1) % RtfDecoder.CONST.DICT_SIZE;
+                        if (outPos < rawSize) {
+                            output[outPos++] = byte;
+                        }
+                        dict[writePos] = byte;
+                        writePos = (writePos + 1) % RtfDecoder.CONST.DICT_SIZE;
+                    }
+
+                } else {
+
+                    // literal
+                    const byte = data[pos++];
+                    if (outPos < rawSize) {
+                        output[outPos++] = byte;
+                    }
+                    dict[writePos] = byte;
+                    writePos = (writePos + 1) % RtfDecoder.CONST.DICT_SIZE;
+                }
+            }
+        }
+
+        return RtfDecoder.#bytesToString(output.subarray(0, outPos));
+    }
+
+    /**
+     * checks if the rtf contains encapsulated html (\fromhtml1)
+     * https://learn.microsoft.com/en-us/openspecs/exchange_server_protocols/ms-oxrtfex/4f09a809-7a3d-4d3c-9e68-0ba5e5a8a18a
+     * @param {String} rtf
+     * @returns {Boolean}
+     */
+    static isEncapsulatedHtml(rtf) {
+        return /\\fromhtml1/.test(RtfDecoder.#getRtfHeader(rtf));
+    }
+
+    /**
+     * checks if the rtf contains encapsulated plain text (\fromtext)
+     * @param {String} rtf
+     * @returns {Boolean}
+     */
+    static isEncapsulatedText(rtf) {
+        return /\\fromtext/.test(RtfDecoder.#getRtfHeader(rtf));
+    }
+
+    /**
+     * de-encapsulates the original html from a \fromhtml1 rtf document
+     * @param {String} rtf
+     * @returns {String|null} null if the rtf doesn't contain html
+     */
+    static extractHtml(rtf) {
+        if (!RtfDecoder.isEncapsulatedHtml(rtf)) {
+            return null;
+        }
+        return RtfDecoder.#convert(rtf, true);
+    }
+
+    /**
+     * converts a rtf document to plain text
+     * @param {String} rtf
+     * @returns {String}
+     */
+    static extractText(rtf) {
+        return RtfDecoder.#convert(rtf, false);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            DICT_SIZE: 4096,
+            COMP_TYPE: {
+                COMPRESSED: 0x75465a4c, // LZFu
+                UNCOMPRESSED: 0x414c454d // MELA
+            },
+            // destinations which never contain text
+            SKIP_DESTINATIONS: [
+                'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+                'footer', 'footerl', 'footerr', 'footerf', 'themedata', 'colorschememapping', 'listtable', 'listoverridetable',
+                'rsidtbl', 'generator', 'xmlnstbl', 'latentstyles', 'datastore', 'filetbl', 'revtbl', 'fldinst', 'pgdsctbl',
+                'mmathPr', 'wgrffmtfilter', 'xe', 'tc', 'bkmkstart', 'bkmkend'
+            ],
+            SYMBOLS: {
+                par: '\r\n',
+                line: '\r\n',
+                tab: '\t',
+                emdash: '\u2014',
+                endash: '\u2013',
+                emspace: '\u2003',
+                enspace: '\u2002',
+                qmspace: '\u2005',
+                bullet: '\u2022',
+                lquote: '\u2018',
+                rquote: '\u2019',
+                ldblquote: '\u201c',
+                rdblquote: '\u201d',
+                zwj: '\u200d',
+                zwnj: '\u200c'
+            },
+            PREBUF: '{\\rtf1\\ansi\\mac\\deff0\\deftab720{\\fonttbl;}{\\f0\\fnil \\froman \\fswiss \\fmodern \\fscript \\fdecor MS Sans SerifSymbolArialTimes New RomanCourier{\\colortbl\\red0\\green0\\blue0\r\n\\par \\pard\\plain\\f0\\fs20\\b\\i\\u\\tab\\tx'
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * crc32 as used by MS-OXRTFCP (initial value 0, no final xor)
+     * @param {Uint8Array} data
+     * @param {Number} start
+     * @param {Number} end
+     * @returns {Number}
+     */
+    static #crc32(data, start, end) {
+        if (!RtfDecoder.#crcTable) {
+            RtfDecoder.#crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let c = i;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                RtfDecoder.#crcTable[i] = c;
+            }
+        }
+
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            crc = RtfDecoder.#crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return crc >>> 0;
+    }
+
+    /**
+     * the header ends with the first text or the first group which isn't part of the header
+     * @param {String} rtf
+     * @returns {String}
+     */
+    static #getRtfHeader(rtf) {
+        const pos = rtf.search(/\{\\(\*\\)?(fonttbl|colortbl|stylesheet|htmltag)/);
+        return pos === -1 ? rtf.substring(0, 1024) : rtf.substring(0, pos);
+    }
+
+    /**
+     * walks through the rtf and collects the text.
+     * html mode: outputs the content of \htmltag groups and the text which isn't suppressed by \htmlrtf.
+     * text mode: outputs all text except \htmltag groups.
+     * @param {String} rtf
+     * @param {Boolean} htmlMode
+     * @returns {String}
+     */
+    static #convert(rtf, htmlMode) {
+        const fontCodePages = {}, len = rtf.length;
+        let output = '', bytes = [], skipChars = 0, defaultCodePage = 1252;
+        let state = {skip: false, htmltag: false, htmlrtf: false, fonttbl: false, uc: 1, codePage: null, font: null};
+        const stack = [];
+
+        // returns true if text in the current group belongs to the output
+        const isVisible = () => {
+            if (state.skip) {
+                return false;
+            }
+            if (htmlMode) {
+                return state.htmltag || !state.htmlrtf;
+            }
+            return !state.htmltag;
+        };
+
+        const flushBytes = () => {
+            if (bytes.length > 0) {
+                output += Charset.decode(new Uint8Array(bytes), Charset.fromCodePage(state.codePage ?? defaultCodePage));
+                bytes = [];
+            }
+        };
+
+        const addText = (text) => {
+            if (skipChars > 0) {
+                skipChars--;
+                return;
+            }
+            if (isVisible()) {
+                flushBytes();
+                output += text;
+            }
+        };
+
+        for (let i = 0; i < len; i++) {
+            const ch = rtf[i];
+
+            if (ch === '{') {
+                flushBytes();
+                stack.push(state);
+                state = Object.assign({}, state);
+                skipChars = 0;
+
+            } else if (ch === '}') {
+                flushBytes();
+                if (state.fonttbl && state.font !== null && state.fontCharset !== undefined) {
+                    fontCodePages[state.font] = Charset.codePageFromFontCharset(state.fontCharset);
+                }
+                state = stack.length > 0 ? stack.pop() : state;
+                skipChars = 0;
+
+            } else if (ch === '\\') {
+                const next = rtf[i + 1];
+
+                // control word
+                if (/[a-zA-Z]/.test(next)) {
+                    const m = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(rtf.substring(i + 1, i + 45));
+                    const word = m[1], param = m[2] !== undefined ? parseInt(m[2]) : null;
+                    i += m[0].length;
+
+                    if (word === 'bin' && param > 0) {
+                        i += param;
+
+                    } else if (word === 'u') {
+                        if (skipChars > 0) {
+                            skipChars--;
+                        } else {
+                            addText(String.fromCharCode(param < 0 ? param + 65536 : param));
+                            skipChars = state.uc;
+                        }
+
+                    } else if (skipChars > 0) {
+                        skipChars--;
+
+                    } else if (word === 'uc') {
+                        state.uc = param ?? 1;
+
+                    } else if (word === 'ansicpg') {
+                        defaultCodePage = param;
+
+                    } else if (word === 'fonttbl') {
+                        state.fonttbl = true;
+                        state.skip = true;
+
+                    } else if (word === 'f' && state.fonttbl) {
+                        state.font = param;
+
+                    } else if (word === 'fcharset' && state.fonttbl) {
+                        state.fontCharset = param;
+
+                    } else if (word === 'f') {
+                        flushBytes();
+                        state.codePage = fontCodePages[param] ?? null;
+
+                    } else if (word === 'htmlrtf') {
+                        flushBytes();
+                        state.htmlrtf = param !== 0;
+
+                    } else if (word === 'htmltag') {
+                        state.htmltag = true;
+                        state.skip = false;
+
+                    } else if (RtfDecoder.CONST.SKIP_DESTINATIONS.includes(word)) {
+                        state.skip = true;
+
+                    } else if (RtfDecoder.CONST.SYMBOLS[word] !== undefined) {
+                        addText(RtfDecoder.CONST.SYMBOLS[word]);
+                    }
+
+                // hex encoded byte in the current code page
+                } else if (next === "'") {
+                    const byte = parseInt(rtf.substring(i + 2, i + 4), 16);
+                    i += 3;
+                    if (skipChars > 0) {
+                        skipChars--;
+                    } else if (isVisible() && !isNaN(byte)) {
+                        bytes.push(byte);
+                    }
+
+                // ignorable destination: skipped unless it is a known one
+                } else if (next === '*') {
+                    i++;
+                    const m = /^\\([a-zA-Z]+)/.exec(rtf.substring(i + 1, i + 34));
+                    if (!m || m[1] !== 'htmltag') {
+                        state.skip = true;
+                    }
+
+                // control symbols
+                } else {
+                    i++;
+                    switch (next) {
+                        case '{':
+                        case '}':
+                        case '\\':
+                            addText(next);
+                            break;
+                        case '~':
+                            addText('\u00a0');
+                            break;
+                        case '_':
+                            addText('\u2011');
+                            break;
+                        case '\r':
+                        case '\n':
+                            addText('\r\n');
+                            break;
+                    }
+                }
+
+            } else if (ch !== '\r' && ch !== '\n') {
+                addText(ch);
+            }
+        }
+
+        flushBytes();
+        return output;
+    }
+
+    /**
+     * rtf is 7-bit ascii, other characters are escaped. Bytes are mapped 1:1 to characters.
+     * @param {Uint8Array} bytes
+     * @returns {String}
+     */
+    static #bytesToString(bytes) {
+        let str = '';
+        for (let i = 0; i < bytes.length; i += 0x2000) {
+            str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x2000));
+        }
+        return str;
+    }
+}
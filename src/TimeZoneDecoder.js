@@ -0,0 +1,365 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {DataStream} from './DataStream.js';
+import {ICalendarBuilder} from './ICalendarBuilder.js';
+
+/*
+ Decoder for the time zone structures of calendar items (MS-OXOCAL)
+ */
+export class TimeZoneDecoder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * decodes a TimeZoneDefinition structure (MS-OXOCAL 2.2.1.41),
+     * e.g. PidLidAppointmentTimeZoneDefinitionStartDisplay.
+     * The biases and transitions are the ones of the effective rule, the conversions use the rule of the year of the date.
+     * @param {Uint8Array} data
+     * @returns {Object} {keyName, bias, standardBias, daylightBias, standardDate, daylightDate, rules} rules ordered by year
+     */
+    static decodeDefinition(data) {
+        const ds = new DataStream(data, 0, DataStream.LITTLE_ENDIAN);
+        ds.seek(0);
+
+        if (data.length < 8 || ds.readUint8() !== TimeZoneDecoder.CONST.MAJOR_VERSION) {
+            throw new Error('invalid time zone definition');
+        }
+
+        ds.readUint8(); // bMinorVersion
+        const headerSize = ds.readUint16(), headerStart = ds.position;
+        ds.readUint16(); // wReserved
+
+        const keyName = ds.readUCS2String(ds.readUint16(), DataStream.LITTLE_ENDIAN),
+                ruleCount = ds.readUint16(),
+                rules = [];
+
+        ds.seek(headerStart + headerSize);
+
+        for (let i = 0; i < ruleCount; i++) {
+            ds.readUint8(); // bMajorVersion
+            ds.readUint8(); // bMinorVersion
+            ds.readUint16(); // wReserved
+            const flags = ds.readUint16(), year = ds.readUint16();
+            ds.seek(ds.position + 14); // X
+
+            rules.push(Object.assign({
+                year: year,
+                recurCurrent: !!(flags & TimeZoneDecoder.CONST.RULE_FLAGS.RECUR_CURRENT_TZREG),
+                effective: !!(flags & TimeZoneDecoder.CONST.RULE_FLAGS.EFFECTIVE_TZREG)
+            }, TimeZoneDecoder.#readRule(ds)));
+        }
+
+        if (rules.length === 0) {
+            throw new Error('invalid time zone definition');
+        }
+        rules.sort((a, b) => a.year - b.year);
+
+        // the effective rule applies to the current year
+        const effectiveRule = rules.find((rule) => rule.effective) ?? rules[rules.length - 1];
+
+        return {
+            keyName: keyName,
+            bias: effectiveRule.bias,
+            standardBias: effectiveRule.standardBias,
+            daylightBias: effectiveRule.daylightBias,
+            standardDate: effectiveRule.standardDate,
+            daylightDate: effectiveRule.daylightDate,
+            rules: rules
+        };
+    }
+
+    /**
+     * decodes a TZSTRUCT structure (MS-OXOCAL 2.2.1.39), PidLidTimeZoneStruct
+     * @param {Uint8Array} data
+     * @param {String|null} keyName e.g. the time zone description (PidLidTimeZoneDescription)
+     * @returns {Object} {keyName, bias, standardBias, daylightBias, standardDate, daylightDate, rules}
+     */
+    static decodeStruct(data, keyName=null) {
+        if (data.length < 48) {
+            throw new Error('invalid time zone struct');
+        }
+
+        const ds = new DataStream(data, 0, DataStream.LITTLE_ENDIAN);
+        ds.seek(0);
+
+        const bias = ds.readInt32(), standardBias = ds.readInt32(), daylightBias = ds.readInt32();
+
+        ds.readUint16(); // wStandardYear
+        const standardDate = TimeZoneDecoder.#readSystemTime(ds);
+        ds.readUint16(); // wDaylightYear
+        const daylightDate = TimeZoneDecoder.#readSystemTime(ds);
+
+        const rule = {
+            year: 0,
+            recurCurrent: false,
+            effective: true,
+            bias: bias,
+            standardBias: standardBias,
+            daylightBias: daylightBias,
+            standardDate: standardDate,
+            daylightDate: daylightDate
+        };
+
+        return {
+            keyName: keyName,
+            bias: bias,
+            standardBias: standardBias,
+            daylightBias: daylightBias,
+            standardDate: standardDate,
+            daylightDate: daylightDate,
+            rules: [rule]
+        };
+    }
+
+    /**
+     * returns the offset to UTC in minutes (local time - UTC) at the given time
+     * @param {Object} timeZone decoded time zone
+     * @param {Date} date
+     * @returns {Number}
+     */
+    static getOffset(timeZone, date) {
+        const rule = TimeZoneDecoder.#getRule(timeZone, new Date(date.getTime() - timeZone.bias * 60000).getUTCFullYear()),
+                standardOffset = -(rule.bias + rule.standardBias),
+                daylightOffset = -(rule.bias + rule.daylightBias);
+
+        if (!TimeZoneDecoder.#hasDaylightSaving(rule)) {
+            return standardOffset;
+        }
+
+        const year = new Date(date.getTime() + standardOffset * 60000).getUTCFullYear(),
+                daylightStart = TimeZoneDecoder.#getTransition(rule.daylightDate, year).getTime() - standardOffset * 60000,
+                daylightEnd = TimeZoneDecoder.#getTransition(rule.standardDate, year).getTime() - daylightOffset * 60000,
+                time = date.getTime();
+
+        // on the southern hemisphere, daylight saving time spans the turn of the year
+        const isDaylight = daylightStart < daylightEnd
+                ? time >= daylightStart && time < daylightEnd
+                : time >= daylightStart || time < daylightEnd;
+
+        return isDaylight ? daylightOffset : standardOffset;
+    }
+
+    /**
+     * converts a UTC date to the local time of the time zone
+     * @param {Date} date
+     * @param {Object} timeZone decoded time zone
+     * @returns {Date} the local time as UTC
+     */
+    static toLocal(date, timeZone) {
+        return new Date(date.getTime() + TimeZoneDecoder.getOffset(timeZone, date) * 60000);
+    }
+
+    /**
+     * converts the local time of the time zone to UTC
+     * @param {Date} date local time as UTC
+     * @param {Object} timeZone decoded time zone
+     * @returns {Date}
+     */
+    static toUtc(date, timeZone) {
+        const rule = TimeZoneDecoder.#getRule(timeZone, date.getUTCFullYear()),
+                standardOffset = -(rule.bias + rule.standardBias),
+                offset = TimeZoneDecoder.getOffset(timeZone, new Date(date.getTime() - standardOffset * 60000));
+
+        return new Date(date.getTime() - offset * 60000);
+    }
+
+    /**
+     * returns a name usable as TZID
+     * @param {Object} timeZone decoded time zone
+     * @returns {String}
+     */
+    static getTzid(timeZone) {
+        const name = (timeZone.keyName ?? '').replace(/[",;:\\]/g, '').trim();
+        if (name) {
+            return name;
+        }
+
+        const offset = -(timeZone.bias + timeZone.standardBias);
+        return 'UTC' + TimeZoneDecoder.#formatOffset(offset);
+    }
+
+    /**
+     * builds a VTIMEZONE component of the time zone (RFC 5545), with a STANDARD and a DAYLIGHT component for each rule.
+     * The first rule applies from 1601, each rule applies until the year before the next rule.
+     * @param {Object} timeZone decoded time zone
+     * @returns {String}
+     */
+    static toVTimeZone(timeZone) {
+        const rules = timeZone.rules && timeZone.rules.length > 0 ? timeZone.rules : [timeZone],
+                components = [];
+        let previousOffset = null;
+
+        rules.forEach((rule, i) => {
+            const startYear = i === 0 ? 1601 : rule.year,
+                    endYear = i + 1 < rules.length ? rules[i + 1].year - 1 : null,
+                    standardOffset = -(rule.bias + rule.standardBias),
+                    daylightOffset = -(rule.bias + rule.daylightBias);
+
+            // rules of the same year are replaced by the last one
+            if (endYear !== null && endYear < startYear) {
+                return;
+            }
+
+            if (!TimeZoneDecoder.#hasDaylightSaving(rule)) {
+                components.push(ICalendarBuilder.buildComponent('STANDARD', [
+                    ['DTSTART', startYear + '0101T000000'],
+                    ['TZOFFSETFROM', TimeZoneDecoder.#formatOffset(previousOffset ?? standardOffset)],
+                    ['TZOFFSETTO', TimeZoneDecoder.#formatOffset(standardOffset)]
+                ]));
+
+            } else {
+                components.push(TimeZoneDecoder.#buildTransition('STANDARD', rule.standardDate, startYear, endYear, daylightOffset, standardOffset));
+                components.push(TimeZoneDecoder.#buildTransition('DAYLIGHT', rule.daylightDate, startYear, endYear, standardOffset, daylightOffset));
+            }
+            previousOffset = standardOffset;
+        });
+
+        return ICalendarBuilder.buildComponent('VTIMEZONE', [
+            ['TZID', TimeZoneDecoder.getTzid(timeZone)]
+        ], components);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            MAJOR_VERSION: 0x02,
+            RULE_FLAGS: {
+                RECUR_CURRENT_TZREG: 0x0001,
+                EFFECTIVE_TZREG: 0x0002
+            },
+            DAYS: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * reads the biases and transitions of a TZRule
+     * @param {DataStream} ds
+     * @returns {Object}
+     */
+    static #readRule(ds) {
+        return {
+            bias: ds.readInt32(),
+            standardBias: ds.readInt32(),
+            daylightBias: ds.readInt32(),
+            standardDate: TimeZoneDecoder.#readSystemTime(ds),
+            daylightDate: TimeZoneDecoder.#readSystemTime(ds)
+        };
+    }
+
+    /**
+     * reads a SYSTEMTIME structure. In time zone rules without year, the day is the occurrence of the day of week in the month (5 is the last).
+     * @param {DataStream} ds
+     * @returns {Object} {year, month, dayOfWeek, day, hour, minute, second}
+     */
+    static #readSystemTime(ds) {
+        const systemTime = {
+            year: ds.readUint16(),
+            month: ds.readUint16(),
+            dayOfWeek: ds.readUint16(),
+            day: ds.readUint16(),
+            hour: ds.readUint16(),
+            minute: ds.readUint16(),
+            second: ds.readUint16()
+        };
+        ds.readUint16(); // wMilliseconds
+        return systemTime;
+    }
+
+    /**
+     * returns the rule of the year: the last rule starting in or before the year, the first rule for earlier years
+     * @param {Object} timeZone decoded time zone
+     * @param {Number} year
+     * @returns {Object} the rule or the time zone itself if it has no rules
+     */
+    static #getRule(timeZone, year) {
+        const rules = timeZone.rules ?? [];
+        return rules.findLast((rule) => rule.year <= year) ?? rules[0] ?? timeZone;
+    }
+
+    static #hasDaylightSaving(timeZone) {
+        return timeZone.standardDate.month !== 0 && timeZone.daylightDate.month !== 0 && timeZone.standardBias !== timeZone.daylightBias;
+    }
+
+    /**
+     * returns the local time of a transition in the given year
+     * @param {Object} systemTime
+     * @param {Number} year
+     * @returns {Date} local time as UTC
+     */
+    static #getTransition(systemTime, year) {
+        if (systemTime.year !== 0) {
+            return new Date(Date.UTC(year, systemTime.month - 1, systemTime.day, systemTime.hour, systemTime.minute, systemTime.second));
+        }
+
+        // n-th day of week in the month, the 5th is the last one
+        const firstDay = new Date(Date.UTC(year, systemTime.month - 1, 1)).getUTCDay(),
+                daysInMonth = new Date(Date.UTC(year, systemTime.month, 0)).getUTCDate();
+        let day = 1 + (systemTime.dayOfWeek - firstDay + 7) % 7 + (systemTime.day - 1) * 7;
+
+        while (day > daysInMonth) {
+            day -= 7;
+        }
+
+        return new Date(Date.UTC(year, systemTime.month - 1, day, systemTime.hour, systemTime.minute, systemTime.second));
+    }
+
+    /**
+     * builds a STANDARD or DAYLIGHT component of the transitions from startYear to endYear
+     * @param {String} name STANDARD or DAYLIGHT
+     * @param {Object} systemTime transition
+     * @param {Number} startYear
+     * @param {Number|null} endYear null if the transitions do not end
+     * @param {Number} offsetFrom offset before the transition in minutes
+     * @param {Number} offsetTo offset after the transition in minutes
+     * @returns {String}
+     */
+    static #buildTransition(name, systemTime, startYear, endYear, offsetFrom, offsetTo) {
+        let rrule = TimeZoneDecoder.#getTransitionRRule(systemTime);
+
+        // UNTIL is given in UTC, the transition happens in the local time before it
+        if (endYear !== null) {
+            rrule += ';UNTIL=' + ICalendarBuilder.formatDateTime(new Date(TimeZoneDecoder.#getTransition(systemTime, endYear).getTime() - offsetFrom * 60000));
+        }
+
+        return ICalendarBuilder.buildComponent(name, [
+            ['DTSTART', ICalendarBuilder.formatLocalDateTime(TimeZoneDecoder.#getTransition(systemTime, startYear))],
+            ['TZOFFSETFROM', TimeZoneDecoder.#formatOffset(offsetFrom)],
+            ['TZOFFSETTO', TimeZoneDecoder.#formatOffset(offsetTo)],
+            ['RRULE', rrule]
+        ]);
+    }
+
+    static #getTransitionRRule(systemTime) {
+        if (systemTime.year !== 0) {
+            return 'FREQ=YEARLY;BYMONTH=' + systemTime.month + ';BYMONTHDAY=' + systemTime.day;
+        }
+        return 'FREQ=YEARLY;BYDAY=' + (systemTime.day === 5 ? -1 : systemTime.day) + TimeZoneDecoder.CONST.DAYS[systemTime.dayOfWeek] + ';BYMONTH=' + systemTime.month;
+    }
+
+    /**
+     * @param {Number} minutes
+     * @returns {String} e.g. +0100
+     */
+    static #formatOffset(minutes) {
+        const abs = Math.abs(minutes);
+        return (minutes < 0 ? '-' : '+') + String(Math.floor(abs / 60)).padStart(2, '0') + String(abs % 60).padStart(2, '0');
+    }
+}
@@ -0,0 +1,293 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Charset} from './Charset.js';
+
+/*
+ Decoder for TNEF streams (MS-OXTNEF), e.g. winmail.dat attachments (application/ms-tnef).
+ MAPI properties are returned with their raw values, the conversion is done by the MsgReader.
+ */
+export class TnefDecoder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * checks the TNEF signature
+     * @param {Uint8Array} data
+     * @returns {Boolean}
+     */
+    static isTnef(data) {
+        return data instanceof Uint8Array && data.length >= 6 && TnefDecoder.#readUint32(data, 0) === TnefDecoder.CONST.SIGNATURE;
+    }
+
+    /**
+     * decodes a TNEF stream
+     * @param {Uint8Array} data
+     * @returns {Object} {version, codePage, messageClass, subject, body, dateSent, dateReceived, properties, attachments}
+     *          properties: [{id, type, multiValued, propertySet, lid, name, iid, values}] values are Uint8Arrays without padding
+     *          attachments: [{title, data, createDate, modifyDate, properties}]
+     */
+    static decode(data) {
+        if (!TnefDecoder.isTnef(data)) {
+            throw new Error('invalid tnef signature');
+        }
+
+        const attributes = TnefDecoder.CONST.ATTRIBUTES,
+                tnef = {
+                    version: null,
+                    codePage: null,
+                    messageClass: null,
+                    subject: null,
+                    body: null,
+                    dateSent: null,
+                    dateReceived: null,
+                    properties: [],
+                    attachments: []
+                };
+
+        // Signature (4 bytes), LegacyKey (2 bytes)
+        let offset = 6, attachment = null;
+
+        while (offset + 9 <= data.length) {
+            // Level (1 byte), ID (4 bytes: attribute id and type), Length (4 bytes), Data, Checksum (2 bytes)
+            const level = data[offset],
+                    id = TnefDecoder.#readUint32(data, offset + 1) & 0xffff,
+                    length = TnefDecoder.#readUint32(data, offset + 5),
+                    value = data.subarray(offset + 9, offset + 9 + length);
+
+            if (offset + 9 + length > data.length) {
+                throw new Error('invalid tnef attribute length');
+            }
+            offset += 9 + length + 2;
+
+            if (id === attributes.ATTACH_REND_DATA) {
+                // starts a new attachment
+                attachment = {title: null, data: null, createDate: null, modifyDate: null, properties: []};
+                tnef.attachments.push(attachment);
+                continue;
+            }
+
+            if (level === TnefDecoder.CONST.LEVEL.ATTACHMENT && attachment) {
+                switch (id) {
+                    case attributes.ATTACH_TITLE: attachment.title = TnefDecoder.#readString(value, tnef.codePage); break;
+                    case attributes.ATTACH_DATA: attachment.data = value; break;
+                    case attributes.ATTACH_CREATE_DATE: attachment.createDate = TnefDecoder.#readDate(value); break;
+                    case attributes.ATTACH_MODIFY_DATE: attachment.modifyDate = TnefDecoder.#readDate(value); break;
+                    case attributes.ATTACHMENT: attachment.properties.push(...TnefDecoder.#readProperties(value)); break;
+                }
+                continue;
+            }
+
+            switch (id) {
+                case attributes.TNEF_VERSION: tnef.version = TnefDecoder.#readUint32(value, 0); break;
+                case attributes.OEM_CODEPAGE: tnef.codePage = TnefDecoder.#readUint32(value, 0); break;
+                case attributes.MESSAGE_CLASS: tnef.messageClass = TnefDecoder.#readString(value, tnef.codePage); break;
+                case attributes.SUBJECT: tnef.subject = TnefDecoder.#readString(value, tnef.codePage); break;
+                case attributes.BODY: tnef.body = TnefDecoder.#readString(value, tnef.codePage); break;
+                case attributes.DATE_SENT: tnef.dateSent = TnefDecoder.#readDate(value); break;
+                case attributes.DATE_RECEIVED: tnef.dateReceived = TnefDecoder.#readDate(value); break;
+                case attributes.MAPI_PROPS: tnef.properties.push(...TnefDecoder.#readProperties(value)); break;
+            }
+        }
+
+        return tnef;
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            SIGNATURE: 0x223e9f78,
+            LEVEL: {
+                MESSAGE: 0x01,
+                ATTACHMENT: 0x02
+            },
+            // attribute ids without the attribute type (high word)
+            ATTRIBUTES: {
+                SUBJECT: 0x8004,
+                DATE_SENT: 0x8005,
+                DATE_RECEIVED: 0x8006,
+                MESSAGE_CLASS: 0x8008,
+                BODY: 0x800c,
+                ATTACH_DATA: 0x800f,
+                ATTACH_TITLE: 0x8010,
+                ATTACH_CREATE_DATE: 0x8012,
+                ATTACH_MODIFY_DATE: 0x8013,
+                ATTACH_REND_DATA: 0x9002,
+                MAPI_PROPS: 0x9003,
+                ATTACHMENT: 0x9005,
+                TNEF_VERSION: 0x9006,
+                OEM_CODEPAGE: 0x9007
+            },
+            // size of fixed length values, padded to 4 bytes
+            FIXED_TYPE_SIZE: {
+                0x0001: 4,
+                0x0002: 4,
+                0x0003: 4,
+                0x0004: 4,
+                0x0005: 8,
+                0x0006: 8,
+                0x0007: 8,
+                0x000a: 4,
+                0x000b: 4,
+                0x0014: 8,
+                0x0040: 8,
+                0x0048: 16
+            },
+            VARIABLE_TYPES: [0x000d, 0x001e, 0x001f, 0x0102],
+            OBJECT_TYPE: 0x000d,
+            MULTI_VALUED_FLAG: 0x1000,
+            IID_IMESSAGE: '00020307-0000-0000-c000-000000000046'
+        };
+    }
+
+    // ----------------------------
+    // PRIVATE STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * reads a MAPI property list (MS-OXTNEF 2.1.3.5) of attMAPIProps or attAttachment
+     * @param {Uint8Array} data
+     * @returns {Array}
+     */
+    static #readProperties(data) {
+        const constants = TnefDecoder.CONST, count = TnefDecoder.#readUint32(data, 0), properties = [];
+        let offset = 4;
+
+        for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+            const typeWithFlags = data[offset] | (data[offset + 1] << 8),
+                    property = {
+                        id: data[offset + 2] | (data[offset + 3] << 8),
+                        type: typeWithFlags & ~constants.MULTI_VALUED_FLAG,
+                        multiValued: !!(typeWithFlags & constants.MULTI_VALUED_FLAG),
+                        propertySet: null,
+                        lid: null,
+                        name: null,
+                        iid: null,
+                        values: []
+                    };
+            offset += 4;
+
+            // named properties: GUID (16 bytes), Kind (4 bytes), LID or name
+            if (property.id >= 0x8000) {
+                property.propertySet = TnefDecoder.#readGuid(data, offset);
+                const kind = TnefDecoder.#readUint32(data, offset + 16);
+                offset += 20;
+
+                if (kind === 0) {
+                    property.lid = TnefDecoder.#readUint32(data, offset);
+                    offset += 4;
+                } else {
+                    const length = TnefDecoder.#readUint32(data, offset);
+                    property.name = new TextDecoder('utf-16le').decode(data.subarray(offset + 4, offset + 4 + length)).replace(/\0+$/, '');
+                    offset += 4 + TnefDecoder.#pad(length);
+                }
+            }
+
+            const fixedSize = constants.FIXED_TYPE_SIZE[property.type], variable = constants.VARIABLE_TYPES.includes(property.type);
+            if (!fixedSize && !variable) {
+                throw new Error('unsupported tnef property type ' + property.type.toString(16));
+            }
+
+            // variable length and multi-valued properties start with the number of values
+            let valueCount = 1;
+            if (variable || property.multiValued) {
+                valueCount = TnefDecoder.#readUint32(data, offset);
+                offset += 4;
+            }
+
+            for (let j = 0; j < valueCount; j++) {
+                if (variable) {
+                    const length = TnefDecoder.#readUint32(data, offset);
+                    property.values.push(data.subarray(offset + 4, offset + 4 + length));
+                    offset += 4 + TnefDecoder.#pad(length);
+                } else {
+                    property.values.push(data.subarray(offset, offset + fixedSize));
+                    offset += fixedSize;
+                }
+
+                if (offset > data.length) {
+                    throw new Error('invalid tnef property length');
+                }
+            }
+
+            // objects start with the interface identifier, e.g. IID_IMessage for embedded messages in TNEF format
+            if (property.type === constants.OBJECT_TYPE && property.values.length > 0 && property.values[0].length >= 16) {
+                property.iid = TnefDecoder.#readGuid(property.values[0], 0);
+                property.values = property.values.map((value) => value.subarray(16));
+            }
+
+            properties.push(property);
+        }
+
+        return properties;
+    }
+
+    /**
+     * reads a null terminated 8-bit string attribute
+     * @param {Uint8Array} data
+     * @param {Number|null} codePage
+     * @returns {String}
+     */
+    static #readString(data, codePage) {
+        const end = data.indexOf(0);
+        return Charset.decode(end === -1 ? data : data.subarray(0, end), Charset.fromCodePage(codePage));
+    }
+
+    /**
+     * reads a date attribute: year, month, day, hour, minute, second and day of week (2 bytes each)
+     * @param {Uint8Array} data
+     * @returns {Date|null}
+     */
+    static #readDate(data) {
+        if (data.length < 12) {
+            return null;
+        }
+        const value = (index) => data[index * 2] | (data[index * 2 + 1] << 8);
+        return new Date(Date.UTC(value(0), value(1) - 1, value(2), value(3), value(4), value(5)));
+    }
+
+    /**
+     * converts 16 bytes to a GUID string
+     * @param {Uint8Array} data
+     * @param {Number} offset
+     * @returns {String}
+     */
+    static #readGuid(data, offset) {
+        const hex = (start, end, reverse) => {
+            const parts = Array.from(data.subarray(offset + start, offset + end), (b) => b.toString(16).padStart(2, '0'));
+            return (reverse ? parts.reverse() : parts).join('');
+        };
+        return hex(0, 4, true) + '-' + hex(4, 6, true) + '-' + hex(6, 8, true) + '-' + hex(8, 10, false) + '-' + hex(10, 16, false);
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @param {Number} offset
+     * @returns {Number}
+     */
+    static #readUint32(data, offset) {
+        return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+    }
+
+    /**
+     * values are padded to a multiple of 4 bytes
+     * @param {Number} length
+     * @returns {Number}
+     */
+    static #pad(length) {
+        return Math.ceil(length / 4) * 4;
+    }
+}
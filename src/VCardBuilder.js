@@ -0,0 +1,101 @@
+/* Copyright 2026 Netas Ltd., Switzerland.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Base64} from './Base64.js';
+import {ICalendarBuilder} from './ICalendarBuilder.js';
+
+/*
+ Helpers to build vCard objects (RFC 6350).
+ Line folding and escaping of text values are the same as in iCalendar.
+ */
+export class VCardBuilder {
+
+    // ----------------------------
+    // PUBLIC STATIC FUNCTIONS
+    // ----------------------------
+
+    /**
+     * builds a VCARD object. Properties without value are omitted, except the required FN property.
+     * @param {Array} properties [[name including parameters, value]], the values must be escaped
+     * @returns {String}
+     */
+    static buildCard(properties) {
+        const crlf = VCardBuilder.CONST.CRLF;
+        let str = 'BEGIN:VCARD' + crlf + 'VERSION:4.0' + crlf + 'PRODID:' + VCardBuilder.CONST.PRODID + crlf;
+
+        for (const [propertyName, value] of properties) {
+            if (propertyName === 'FN' || (value !== null && value !== undefined && value !== '')) {
+                str += ICalendarBuilder.foldLine(propertyName + ':' + value) + crlf;
+            }
+        }
+
+        return str + 'END:VCARD' + crlf;
+    }
+
+    /**
+     * escapes a text value
+     * @param {String} text
+     * @returns {String}
+     */
+    static escapeText(text) {
+        return ICalendarBuilder.escapeText(text);
+    }
+
+    /**
+     * formats a structured value (e.g. N, ADR), the components are separated by semicolons
+     * @param {Array} values
+     * @returns {String|null} null if all components are empty
+     */
+    static formatStructured(values) {
+        return values.some((value) => value !== null && value !== undefined && value !== '')
+                ? values.map((value) => VCardBuilder.escapeText(value)).join(';')
+                : null;
+    }
+
+    /**
+     * formats a parameter value, values with special characters are quoted
+     * @param {String} value
+     * @returns {String}
+     */
+    static formatParameter(value) {
+        return ICalendarBuilder.formatParameter(value);
+    }
+
+    /**
+     * formats a date (e.g. 19800512), the UTC date is used
+     * @param {Date} date
+     * @returns {String}
+     */
+    static formatDate(date) {
+        return ICalendarBuilder.formatDate(date);
+    }
+
+    /**
+     * formats binary content as data uri (RFC 2397), e.g. for PHOTO
+     * @param {Uint8Array} content
+     * @param {String} contentType
+     * @returns {String}
+     */
+    static formatDataUri(content, contentType) {
+        return 'data:' + contentType + ';base64,' + Base64.encode(content);
+    }
+
+    // constants
+    static get CONST() {
+        return {
+            CRLF: '\r\n',
+            PRODID: '-//Netas Ltd.//msg.reader//EN'
+        };
+    }
+}